@@ -1,7 +1,91 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
+import { parseKeywordRules, splitKeywordEntries } from './utils/addressDetector.js';
 
 dotenv.config();
 
+// Fill in per-target defaults; a bare string is just a username
+function normalizeTarget(target) {
+  const entry = typeof target === 'string' ? { username: target } : target;
+  
+  return {
+    username: String(entry.username || '').trim().replace(/^@/, ''),
+    chains: entry.chains || ['solana', 'bsc'],
+    mode: entry.mode || 'auto-buy',
+    buyAmountSol: entry.buyAmountSol ?? null,
+    buyAmountBnb: entry.buyAmountBnb ?? null,
+    requiredKeywords: entry.requiredKeywords || [],
+    minKeywordScore: entry.minKeywordScore ?? null,
+    // Overrides for the global exit rules, applied to positions opened from this target
+    exitRules: entry.exitRules || null
+  };
+}
+
+// Targets come from TARGETS_FILE (JSON array) or a comma-separated TARGET_USERNAME
+function loadTargets() {
+  if (process.env.TARGETS_FILE) {
+    try {
+      const targets = JSON.parse(fs.readFileSync(process.env.TARGETS_FILE, 'utf8'));
+      return targets.map(normalizeTarget);
+    } catch (error) {
+      console.error(`Failed to load TARGETS_FILE: ${error.message}`);
+      return [];
+    }
+  }
+  
+  return (process.env.TARGET_USERNAME || 'elonmusk')
+    .split(',')
+    .filter(username => username.trim())
+    .map(normalizeTarget);
+}
+
+// Parse "venue:bps,venue:bps" into a lookup object
+function parseVenueBps(value) {
+  if (!value) return {};
+  
+  return Object.fromEntries(
+    value.split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([venue, bps]) => venue && !isNaN(parseInt(bps)))
+      .map(([venue, bps]) => [venue.toLowerCase(), parseInt(bps)])
+  );
+}
+
+// Stablecoins are never sold by the sell-all keys unless PROTECTED_TOKENS overrides this list
+const DEFAULT_PROTECTED_TOKENS = [
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC (Solana)
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT (Solana)
+  '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC (BSC)
+  '0x55d398326f99059fF775485246999027B3197955', // USDT (BSC)
+  '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56' // BUSD (BSC)
+];
+
+function parseTokenList(value, fallback = []) {
+  if (value === undefined) return fallback;
+  return value.split(',').map(token => token.trim()).filter(Boolean);
+}
+
+// Parse "multiple:percent,..." take-profit steps, lowest multiple first
+function parseTakeProfitLadder(value) {
+  if (!value) return [];
+  
+  return value.split(',')
+    .map(entry => entry.split(':').map(part => parseFloat(part)))
+    .filter(([multiple, percent]) => multiple > 0 && percent > 0 && percent <= 100)
+    .map(([multiple, percent]) => ({ multiple, percent }))
+    .sort((a, b) => a.multiple - b.multiple);
+}
+
+// Primary RPC first, then any fallbacks (duplicates dropped)
+function parseRpcUrls(primary, fallbacks) {
+  return [...new Set([primary, ...parseTokenList(fallbacks)])];
+}
+
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const BSC_RPC_URL = process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org/';
+
+const optionalNumber = value => value !== undefined && value !== '' ? parseFloat(value) : null;
+
 export const config = {
   // Twitter authentication (no API key needed)
   twitterUsername: process.env.TWITTER_USERNAME,
@@ -9,12 +93,16 @@ export const config = {
   twitterEmail: process.env.TWITTER_EMAIL,
   
   // Monitoring settings
-  targetUsername: process.env.TARGET_USERNAME || 'elonmusk',
+  // Accounts to monitor, each with its own chains, buy size, keywords and mode
+  targets: loadTargets(),
   checkInterval: parseInt(process.env.CHECK_INTERVAL) || 30000, // 30 seconds default
   
-  // Optional keywords to watch for
+  // Optional keyword rules: word or /regex/flags, ":weight" suffix, "-" prefix for negative
   watchKeywords: process.env.WATCH_KEYWORDS ? 
-    process.env.WATCH_KEYWORDS.split(',').map(k => k.trim()) : [],
+    splitKeywordEntries(process.env.WATCH_KEYWORDS) : [],
+  // Keyword score a tweet must reach before auto-buy (unset = no requirement)
+  minKeywordScore: process.env.MIN_KEYWORD_SCORE !== undefined && process.env.MIN_KEYWORD_SCORE !== ''
+    ? parseFloat(process.env.MIN_KEYWORD_SCORE) : null,
   
   // Webhook for notifications
   webhookUrl: process.env.WEBHOOK_URL || null,
@@ -26,16 +114,113 @@ export const config = {
   bscDerivationPath: process.env.BSC_DERIVATION_PATH || "m/44'/60'/0'/0/0",
   
   // RPC URLs
-  solanaRpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
-  bscRpcUrl: process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org/',
+  solanaRpcUrl: SOLANA_RPC_URL,
+  bscRpcUrl: BSC_RPC_URL,
+  
+  // RPC failover: extra endpoints, per-request timeout and how often endpoints are health-checked
+  solanaRpcUrls: parseRpcUrls(SOLANA_RPC_URL, process.env.SOLANA_RPC_FALLBACK_URLS),
+  bscRpcUrls: parseRpcUrls(BSC_RPC_URL, process.env.BSC_RPC_FALLBACK_URLS),
+  rpcTimeoutMs: parseInt(process.env.RPC_TIMEOUT_MS) || 10000,
+  rpcHealthCheckMs: parseInt(process.env.RPC_HEALTH_CHECK_MS) || 30000,
+  // Send signed transactions to every endpoint at once and take the first confirmation
+  broadcastAllRpcs: process.env.BROADCAST_ALL_RPCS === 'true',
+  
+  // Profit tracker refresh interval; backs off up to the max while endpoints rate-limit
+  profitRefreshMs: parseInt(process.env.PROFIT_REFRESH_MS) || 1000,
+  profitMaxRefreshMs: parseInt(process.env.PROFIT_MAX_REFRESH_MS) || 30000,
   
   // Auto-buy settings
   autoBuyEnabled: process.env.AUTO_BUY_ENABLED === 'true',
+  // Venue lookups still pending after this are skipped; the best quote among the rest is bought
+  venueDiscoveryTimeoutMs: parseInt(process.env.VENUE_DISCOVERY_TIMEOUT_MS) || 3000,
+  
+  // Solana pre-trade rug check; each finding's action is block | downsize | allow
+  rugCheckEnabled: process.env.RUG_CHECK_ENABLED !== 'false',
+  rugCheckRules: {
+    mintAuthority: process.env.RUG_CHECK_MINT_AUTHORITY || 'block',
+    freezeAuthority: process.env.RUG_CHECK_FREEZE_AUTHORITY || 'block',
+    tokenExtensions: process.env.RUG_CHECK_TOKEN_EXTENSIONS || 'block',
+    maxTransferFeeBps: parseInt(process.env.RUG_CHECK_MAX_TRANSFER_FEE_BPS) || 100,
+    concentration: process.env.RUG_CHECK_CONCENTRATION || 'downsize',
+    maxTopHolderPercent: parseFloat(process.env.RUG_CHECK_MAX_TOP_HOLDER_PCT) || 20,
+    maxTop10Percent: parseFloat(process.env.RUG_CHECK_MAX_TOP10_PCT) || 50,
+    downsizeFactor: parseFloat(process.env.RUG_CHECK_DOWNSIZE_FACTOR) || 0.5
+  },
+  
+  // BSC honeypot/tax detection by simulating a buy then sell before every buy
+  honeypotCheckEnabled: process.env.HONEYPOT_CHECK_ENABLED !== 'false',
+  maxBuyTaxPercent: parseFloat(process.env.MAX_BUY_TAX_PCT) || 10,
+  maxSellTaxPercent: parseFloat(process.env.MAX_SELL_TAX_PCT) || 10,
+  
+  // Paper trading: run the full buy/sell pipeline with simulated fills, nothing is signed
+  dryRun: process.env.DRY_RUN === 'true',
+  paperBalanceSol: parseFloat(process.env.PAPER_BALANCE_SOL) || 10,
+  paperBalanceBnb: parseFloat(process.env.PAPER_BALANCE_BNB) || 5,
   maxBuyAmountSol: parseFloat(process.env.MAX_BUY_AMOUNT_SOL) || 10,
   maxBuyAmountBnb: parseFloat(process.env.MAX_BUY_AMOUNT_BNB) || 5,
   
+  // Position sizing (fixed | percent | confidence)
+  buySizingStrategy: process.env.BUY_SIZING_STRATEGY || 'fixed',
+  fixedBuyAmountSol: parseFloat(process.env.FIXED_BUY_AMOUNT_SOL) || 0.1,
+  fixedBuyAmountBnb: parseFloat(process.env.FIXED_BUY_AMOUNT_BNB) || 0.05,
+  buyPercentOfBalance: parseFloat(process.env.BUY_PERCENT_OF_BALANCE) || 25,
+  minBuyAmountSol: parseFloat(process.env.MIN_BUY_AMOUNT_SOL) || 0.01,
+  minBuyAmountBnb: parseFloat(process.env.MIN_BUY_AMOUNT_BNB) || 0.005,
+  // Balance kept aside for fees/rent (SOL) and gas (BNB)
+  solReserve: parseFloat(process.env.SOL_RESERVE) || 0.05,
+  bnbReserve: parseFloat(process.env.BNB_RESERVE) || 0.01,
+  
+  // Slippage tolerance in basis points (100 = 1%), per chain with per-venue overrides
+  // Venues: pumpfun, meteora, raydium, fourmeme, pancakeswap
+  solanaSlippageBps: parseInt(process.env.SOLANA_SLIPPAGE_BPS) || 500,
+  bscSlippageBps: parseInt(process.env.BSC_SLIPPAGE_BPS) || 500,
+  venueSlippageBps: parseVenueBps(process.env.VENUE_SLIPPAGE_BPS),
+  
+  // Solana transaction landing: priority fee from recent fees (percentile, floor/cap in
+  // micro-lamports per CU), compute limit = simulated units + margin, resend and status-poll intervals
+  priorityFeePercentile: parseInt(process.env.PRIORITY_FEE_PERCENTILE) || 75,
+  minPriorityFeeMicroLamports: parseInt(process.env.MIN_PRIORITY_FEE_MICROLAMPORTS) || 0,
+  maxPriorityFeeMicroLamports: parseInt(process.env.MAX_PRIORITY_FEE_MICROLAMPORTS) || 1000000,
+  computeUnitMarginPercent: parseInt(process.env.COMPUTE_UNIT_MARGIN_PCT) || 20,
+  txResendIntervalMs: parseInt(process.env.TX_RESEND_INTERVAL_MS) || 2000,
+  txStatusPollMs: parseInt(process.env.TX_STATUS_POLL_MS) || 250,
+  
+  // BSC gas price ('network' | 'fixed' | 'percentile'), snipe bump, cap and stuck-transaction replacement
+  bscGasStrategy: process.env.BSC_GAS_STRATEGY || 'network',
+  bscGasGwei: parseFloat(process.env.BSC_GAS_GWEI) || 1,
+  bscGasPercentile: parseInt(process.env.BSC_GAS_PERCENTILE) || 60,
+  bscGasBlocks: parseInt(process.env.BSC_GAS_BLOCKS) || 20,
+  bscSnipeGasBumpPercent: parseInt(process.env.BSC_SNIPE_GAS_BUMP_PCT) || 0,
+  bscMaxGasGwei: parseFloat(process.env.BSC_MAX_GAS_GWEI) || 20,
+  bscSpeedUpPercent: parseInt(process.env.BSC_SPEED_UP_PCT) || 20,
+  bscStuckTxMs: parseInt(process.env.BSC_STUCK_TX_MS) || 15000,
+  bscMaxSpeedUps: parseInt(process.env.BSC_MAX_SPEED_UPS) || 3,
+  bscConfirmations: parseInt(process.env.BSC_CONFIRMATIONS) || 1,
+  
+  // Automatic exits evaluated on every profit-tracker update (per-target overrides via exitRules)
+  autoExitEnabled: process.env.AUTO_EXIT_ENABLED === 'true',
+  exitRules: {
+    takeProfit: parseTakeProfitLadder(process.env.TAKE_PROFIT_LADDER),
+    stopLossPercent: optionalNumber(process.env.STOP_LOSS_PCT),
+    trailingStopPercent: optionalNumber(process.env.TRAILING_STOP_PCT),
+    trailingActivationPercent: optionalNumber(process.env.TRAILING_STOP_ACTIVATION_PCT) ?? 0,
+    maxHoldMinutes: optionalNumber(process.env.MAX_HOLD_MINUTES)
+  },
+  
+  // Sell-all scope: "s"/"b" only sell positions the bot opened plus SELL_ALLOWLIST;
+  // PROTECTED_TOKENS are never sold, not even by the confirmed "S"/"B" sell-everything
+  sellAllowlist: parseTokenList(process.env.SELL_ALLOWLIST),
+  protectedTokens: parseTokenList(process.env.PROTECTED_TOKENS, DEFAULT_PROTECTED_TOKENS),
+  
   // Auto-open URLs
-  autoOpenUrls: process.env.AUTO_OPEN_URLS === 'true'
+  autoOpenUrls: process.env.AUTO_OPEN_URLS === 'true',
+  
+  // Append-only state file (processed tweets, positions, sells, fills)
+  stateFile: process.env.STATE_FILE || 'data/state.jsonl',
+  
+  // BSC holdings discovery for sell-all: cache file and how far back to scan Transfer logs
+  bscHoldingsFile: process.env.BSC_HOLDINGS_FILE || 'data/bsc-holdings.json',
+  bscHoldingsScanBlocks: parseInt(process.env.BSC_HOLDINGS_SCAN_BLOCKS) || 50000
 };
 
 // Validate required config
@@ -50,11 +235,42 @@ export function validateConfig() {
     errors.push('TWITTER_PASSWORD is required');
   }
   
-  if (!config.targetUsername) {
-    errors.push('TARGET_USERNAME is required');
+  if (config.targets.length === 0) {
+    errors.push('TARGET_USERNAME or TARGETS_FILE is required');
   }
   
-  if (config.autoBuyEnabled) {
+  config.targets.forEach(target => {
+    if (!target.username) {
+      errors.push('Every target needs a username');
+    }
+    if (!['auto-buy', 'alert-only'].includes(target.mode)) {
+      errors.push(`Target @${target.username}: mode must be "auto-buy" or "alert-only"`);
+    }
+    if (target.chains.some(chain => !['solana', 'bsc'].includes(chain))) {
+      errors.push(`Target @${target.username}: chains must be "solana" and/or "bsc"`);
+    }
+  });
+  
+  try {
+    parseKeywordRules(config.watchKeywords);
+  } catch (error) {
+    errors.push(`WATCH_KEYWORDS: ${error.message}`);
+  }
+  
+  if (config.autoBuyEnabled || config.dryRun) {
+    if (!['fixed', 'percent', 'confidence'].includes(config.buySizingStrategy)) {
+      errors.push('BUY_SIZING_STRATEGY must be one of: fixed, percent, confidence');
+    }
+  }
+  
+  ['mintAuthority', 'freezeAuthority', 'tokenExtensions', 'concentration'].forEach(rule => {
+    if (!['block', 'downsize', 'allow'].includes(config.rugCheckRules[rule])) {
+      errors.push(`Rug check action for ${rule} must be one of: block, downsize, allow`);
+    }
+  });
+  
+  // Dry-run falls back to throwaway wallets, so mnemonics are only needed for live trading
+  if (config.autoBuyEnabled && !config.dryRun) {
     if (!config.solanaMnemonic) {
       errors.push('SOLANA_MNEMONIC is required when auto-buy is enabled');
     }
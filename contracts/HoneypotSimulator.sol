@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Never deployed: its runtime bytecode is injected with an eth_call state override
+// (see utils/bscHoneypotCheck.js) to simulate a buy followed by a sell.
+// Compiled with solc 0.8.24, optimizer enabled (200 runs), evmVersion paris.
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function approve(address spender, uint256 amount) external returns (bool);
+}
+
+interface IPancakeRouter {
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory);
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint256 amountOutMin, address[] calldata path, address to, uint256 deadline
+    ) external payable;
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline
+    ) external;
+}
+
+interface IFourMemeExchange {
+    function getBuyQuote(address tokenAddress, uint256 bnbAmount) external view returns (uint256);
+    function getSellQuote(address tokenAddress, uint256 tokenAmount) external view returns (uint256);
+    function buyToken(address tokenAddress, uint256 minTokens) external payable returns (uint256);
+    function sellToken(address tokenAddress, uint256 tokenAmount, uint256 minBNB) external;
+}
+
+contract HoneypotSimulator {
+    struct Result {
+        uint256 expectedBuy;
+        uint256 actualBuy;
+        uint256 expectedSell;
+        uint256 actualSell;
+        bool sellSucceeded;
+    }
+
+    receive() external payable {}
+
+    function simulatePancake(address router, address wbnb, address token) external payable returns (Result memory result) {
+        address[] memory buyPath = new address[](2);
+        buyPath[0] = wbnb;
+        buyPath[1] = token;
+        address[] memory sellPath = new address[](2);
+        sellPath[0] = token;
+        sellPath[1] = wbnb;
+
+        result.expectedBuy = IPancakeRouter(router).getAmountsOut(msg.value, buyPath)[1];
+        uint256 tokensBefore = IERC20(token).balanceOf(address(this));
+        IPancakeRouter(router).swapExactETHForTokensSupportingFeeOnTransferTokens{value: msg.value}(
+            0, buyPath, address(this), block.timestamp
+        );
+        result.actualBuy = IERC20(token).balanceOf(address(this)) - tokensBefore;
+        if (result.actualBuy == 0) return result;
+
+        IERC20(token).approve(router, type(uint256).max);
+        result.expectedSell = IPancakeRouter(router).getAmountsOut(result.actualBuy, sellPath)[1];
+        uint256 bnbBefore = address(this).balance;
+        try IPancakeRouter(router).swapExactTokensForETHSupportingFeeOnTransferTokens(
+            result.actualBuy, 0, sellPath, address(this), block.timestamp
+        ) {
+            result.sellSucceeded = true;
+            result.actualSell = address(this).balance - bnbBefore;
+        } catch {}
+    }
+
+    function simulateFourMeme(address exchange, address token) external payable returns (Result memory result) {
+        result.expectedBuy = IFourMemeExchange(exchange).getBuyQuote(token, msg.value);
+        uint256 tokensBefore = IERC20(token).balanceOf(address(this));
+        IFourMemeExchange(exchange).buyToken{value: msg.value}(token, 0);
+        result.actualBuy = IERC20(token).balanceOf(address(this)) - tokensBefore;
+        if (result.actualBuy == 0) return result;
+
+        IERC20(token).approve(exchange, type(uint256).max);
+        result.expectedSell = IFourMemeExchange(exchange).getSellQuote(token, result.actualBuy);
+        uint256 bnbBefore = address(this).balance;
+        try IFourMemeExchange(exchange).sellToken(token, result.actualBuy, 0) {
+            result.sellSucceeded = true;
+            result.actualSell = address(this).balance - bnbBefore;
+        } catch {}
+    }
+}
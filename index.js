@@ -13,11 +13,34 @@ async function main() {
   
   // Display configuration
   console.log(chalk.blue('📋 Configuration:'));
-  console.log(chalk.gray(`  Target User: @${config.targetUsername}`));
+  console.log(chalk.gray(`  Targets:`));
+  config.targets.forEach(target => {
+    const buySize = [
+      target.buyAmountSol != null ? `${target.buyAmountSol} SOL` : null,
+      target.buyAmountBnb != null ? `${target.buyAmountBnb} BNB` : null
+    ].filter(Boolean).join(' / ');
+    console.log(chalk.gray(`    @${target.username} [${target.mode}, ${target.chains.join('/')}${buySize ? `, ${buySize}` : ''}]`));
+  });
   console.log(chalk.gray(`  Check Interval: ${config.checkInterval / 1000} seconds`));
   if (config.watchKeywords.length > 0) {
     console.log(chalk.gray(`  Keywords: ${config.watchKeywords.join(', ')}`));
   }
+  if (config.dryRun) {
+    console.log(chalk.gray(`  Mode: DRY RUN (paper balance ${config.paperBalanceSol} SOL / ${config.paperBalanceBnb} BNB)`));
+  }
+  if (config.autoBuyEnabled || config.dryRun) {
+    console.log(chalk.gray(`  Buy Sizing: ${config.buySizingStrategy} (max ${config.maxBuyAmountSol} SOL / ${config.maxBuyAmountBnb} BNB)`));
+  }
+  if (config.autoExitEnabled) {
+    const { takeProfit, stopLossPercent, trailingStopPercent, maxHoldMinutes } = config.exitRules;
+    const rules = [
+      takeProfit.length > 0 && `TP ${takeProfit.map(step => `${step.percent}%@${step.multiple}x`).join(' ')}`,
+      stopLossPercent != null && `SL -${stopLossPercent}%`,
+      trailingStopPercent != null && `trail ${trailingStopPercent}%`,
+      maxHoldMinutes != null && `max hold ${maxHoldMinutes}m`
+    ].filter(Boolean);
+    console.log(chalk.gray(`  Auto Exit: ${rules.join(', ') || 'no rules set'}`));
+  }
   if (config.webhookUrl) {
     console.log(chalk.gray(`  Webhook: Enabled`));
   }
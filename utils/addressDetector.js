@@ -1,7 +1,106 @@
 import bs58 from 'bs58';
 
+// Built-in rules used when WATCH_KEYWORDS is not set (all weight 1)
+const DEFAULT_KEYWORD_PATTERNS = [
+  /\bpump\b/gi,
+  /\blaunch\b/gi,
+  /\btoken\b/gi,
+  /\bcontract\b/gi,
+  /\bmint(?:ing|ed)?\b/gi,
+  /\bdeploy(?:ing|ed)?\b/gi,
+  /\blive\b/gi,
+  /\bCA\b/g,  // Contract Address abbreviation
+  /\bSOL\b/g,
+  /\bBSC\b/g,
+  /\bairdrop\b/gi,
+  /\bpresale\b/gi,
+  /\bliquidity\b/gi,
+  /\bDEX\b/g
+];
+
+/**
+ * Split a WATCH_KEYWORDS string on commas, except commas inside a /regex/ entry
+ * (e.g. "/\d{1,3}x/:2,launch" is two entries). Escapes and [...] classes inside
+ * the regex are honoured when looking for its closing slash.
+ */
+export function splitKeywordEntries(text) {
+  const entries = [];
+  let current = '';
+  let inRegex = false;
+  let inClass = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inRegex) {
+      current += char;
+      if (char === '\\' && i + 1 < text.length) {
+        current += text[++i];
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        inRegex = false;
+      }
+    } else if (char === ',') {
+      entries.push(current);
+      current = '';
+    } else {
+      // A regex entry starts with "/" (after an optional "-")
+      if (char === '/' && /^\s*-?\s*$/.test(current)) inRegex = true;
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse keyword entries into weighted rules.
+ * Entry format: [-]word-or-/regex/flags[:weight], e.g. "launch:2", "/\bCA\b/:3", "-scam:5".
+ * A leading "-" marks a negative keyword whose weight is subtracted from the score.
+ * Throws on an invalid /regex/ so a typo is caught at startup.
+ */
+export function parseKeywordRules(entries) {
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      let body = entry;
+      const negative = body.startsWith('-');
+      if (negative) body = body.slice(1).trim();
+      
+      let weight = 1;
+      const weightMatch = body.match(/^(.*):(\d+(?:\.\d+)?)$/);
+      if (weightMatch) {
+        body = weightMatch[1].trim();
+        weight = parseFloat(weightMatch[2]);
+      }
+      
+      let pattern;
+      const regexMatch = body.match(/^\/(.+)\/([a-z]*)$/);
+      if (regexMatch) {
+        const flags = regexMatch[2].includes('g') ? regexMatch[2] : regexMatch[2] + 'g';
+        try {
+          pattern = new RegExp(regexMatch[1], flags);
+        } catch (error) {
+          throw new Error(`Invalid keyword regex "${entry}": ${error.message}`);
+        }
+      } else {
+        const escaped = body.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // \b only works next to a word character, so "$SOL" must not start with one
+        const start = /^\w/.test(body) ? '\\b' : '';
+        const end = /\w$/.test(body) ? '\\b' : '';
+        pattern = new RegExp(`${start}${escaped}${end}`, 'gi');
+      }
+      
+      return { label: body, pattern, weight, negative };
+    });
+}
+
 export class AddressDetector {
-  constructor() {
+  constructor(options = {}) {
     // Solana address: base58 encoded, typically 32-44 characters
     // Common patterns: starts with numbers/letters, 32-44 chars
     this.solanaRegex = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
@@ -9,23 +108,10 @@ export class AddressDetector {
     // BSC/Ethereum address: 0x followed by 40 hex characters
     this.bscRegex = /\b0x[a-fA-F0-9]{40}\b/g;
     
-    // Additional keyword patterns for crypto context
-    this.keywordPatterns = [
-      /\bpump\b/gi,
-      /\launch\b/gi,
-      /\btoken\b/gi,
-      /\bcontract\b/gi,
-      /\bmint(?:ing|ed)?\b/gi,
-      /\bdeploy(?:ing|ed)?\b/gi,
-      /\blive\b/gi,
-      /\bCA\b/g,  // Contract Address abbreviation
-      /\bSOL\b/g,
-      /\bBSC\b/g,
-      /\bairdrop\b/gi,
-      /\bpresale\b/gi,
-      /\bliquidity\b/gi,
-      /\bDEX\b/g
-    ];
+    // Weighted keyword rules for crypto context (see parseKeywordRules)
+    this.keywordRules = options.keywordRules?.length > 0
+      ? options.keywordRules
+      : DEFAULT_KEYWORD_PATTERNS.map(pattern => ({ label: pattern.source, pattern, weight: 1, negative: false }));
   }
 
   /**
@@ -67,17 +153,39 @@ export class AddressDetector {
   }
 
   /**
-   * Check if text contains crypto-related keywords
+   * Score text against the keyword rules.
+   * Each matching rule counts once, so repeating a word doesn't inflate the score.
    */
-  containsCryptoKeywords(text) {
-    const foundKeywords = [];
-    for (const pattern of this.keywordPatterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        foundKeywords.push(...matches);
+  scoreKeywords(text) {
+    const keywords = [];
+    const negativeKeywords = [];
+    let score = 0;
+    
+    for (const rule of this.keywordRules) {
+      const matches = text.match(rule.pattern);
+      if (!matches) continue;
+      
+      if (rule.negative) {
+        negativeKeywords.push(...matches);
+        score -= rule.weight;
+      } else {
+        keywords.push(...matches);
+        score += rule.weight;
       }
     }
-    return [...new Set(foundKeywords)]; // Remove duplicates
+    
+    return {
+      keywords: [...new Set(keywords)], // Remove duplicates
+      negativeKeywords: [...new Set(negativeKeywords)],
+      score
+    };
+  }
+
+  /**
+   * Check if text contains crypto-related keywords
+   */
+  containsCryptoKeywords(text) {
+    return this.scoreKeywords(text).keywords;
   }
 
   /**
@@ -94,21 +202,42 @@ export class AddressDetector {
     return [...httpUrls, ...tcoUrls];
   }
 
+  /**
+   * Estimate how strongly a tweet signals a token launch (0..1)
+   */
+  calculateConfidence(addressCount, keywordScore) {
+    // No address, or negative keywords outweighing the positive ones
+    if (addressCount === 0 || keywordScore < 0) {
+      return 0;
+    }
+    
+    // A single address is a clearer call than a list of several
+    const addressScore = addressCount === 1 ? 0.5 : 0.3;
+    return Math.min(addressScore + Math.min(keywordScore * 0.1, 0.5), 1);
+  }
+
   /**
    * Analyze tweet for crypto addresses and keywords
    */
   analyzeTweet(tweetText) {
     const solanaAddresses = this.extractSolanaAddresses(tweetText);
     const bscAddresses = this.extractBSCAddresses(tweetText);
-    const keywords = this.containsCryptoKeywords(tweetText);
+    const { keywords, negativeKeywords, score } = this.scoreKeywords(tweetText);
     const urls = this.extractUrls(tweetText);
+    const confidence = this.calculateConfidence(
+      solanaAddresses.length + bscAddresses.length,
+      score
+    );
     
     return {
       hasCryptoContent: solanaAddresses.length > 0 || bscAddresses.length > 0 || keywords.length > 0,
       solanaAddresses,
       bscAddresses,
       keywords,
+      negativeKeywords,
+      keywordScore: score,
       urls,
+      confidence,
       timestamp: new Date().toISOString()
     };
   }
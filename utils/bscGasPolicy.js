@@ -0,0 +1,80 @@
+import { parseGwei, formatGwei } from 'viem';
+import chalk from 'chalk';
+
+// Nodes only accept a same-nonce replacement that raises the gas price by at least 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+/**
+ * Gas price (legacy, BSC) for our transactions:
+ * - fixed: always `fixedGwei`
+ * - percentile: median over recent blocks of each block's percentile price (eth_feeHistory)
+ * - network: the node's eth_gasPrice
+ * Snipes (buys) add `snipeBumpPercent` on top; everything is capped at `maxGwei`.
+ */
+export class BSCGasPolicy {
+  constructor(publicClient, {
+    strategy = 'network',
+    fixedGwei = 1,
+    percentile = 60,
+    blocks = 20,
+    snipeBumpPercent = 0,
+    maxGwei = 20,
+    speedUpPercent = 20
+  } = {}) {
+    this.publicClient = publicClient;
+    this.strategy = strategy;
+    this.fixedGasPrice = parseGwei(String(fixedGwei));
+    this.percentile = percentile;
+    this.blocks = blocks;
+    this.snipeBumpPercent = BigInt(Math.round(snipeBumpPercent));
+    this.maxGasPrice = parseGwei(String(maxGwei));
+    this.speedUpPercent = BigInt(Math.max(MIN_REPLACEMENT_BUMP_PERCENT, Math.round(speedUpPercent)));
+  }
+
+  async getPercentileGasPrice() {
+    const history = await this.publicClient.getFeeHistory({
+      blockCount: this.blocks,
+      rewardPercentiles: [this.percentile]
+    });
+    // Effective price per block = base fee + the percentile tip (BSC base fee is 0)
+    const prices = history.reward
+      .map((rewards, index) => (history.baseFeePerGas[index] ?? 0n) + (rewards[0] ?? 0n))
+      .filter(price => price > 0n)
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return prices.length > 0 ? prices[Math.floor(prices.length / 2)] : null;
+  }
+
+  async getBaseGasPrice() {
+    if (this.strategy === 'fixed') return this.fixedGasPrice;
+
+    if (this.strategy === 'percentile') {
+      try {
+        const price = await this.getPercentileGasPrice();
+        if (price) return price;
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Fee history unavailable, using network gas price: ${error.message}`));
+      }
+    }
+    return this.publicClient.getGasPrice();
+  }
+
+  // purpose: 'snipe' for buys, anything else for approvals/sells
+  async getGasPrice(purpose = 'trade') {
+    let gasPrice = await this.getBaseGasPrice();
+    if (purpose === 'snipe' && this.snipeBumpPercent > 0n) {
+      gasPrice = gasPrice * (100n + this.snipeBumpPercent) / 100n;
+    }
+    return gasPrice < this.maxGasPrice ? gasPrice : this.maxGasPrice;
+  }
+
+  // Price for replacing a stuck transaction, or null once the cap leaves no valid bump
+  getSpeedUpPrice(currentGasPrice) {
+    const bumped = currentGasPrice * (100n + this.speedUpPercent) / 100n;
+    if (bumped > this.maxGasPrice) return null;
+    return bumped;
+  }
+
+  format(gasPrice) {
+    return `${formatGwei(gasPrice)} gwei`;
+  }
+}
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { parseAbiItem } from 'viem';
+import chalk from 'chalk';
+
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+// Public BSC endpoints reject wide eth_getLogs ranges
+const LOG_CHUNK_BLOCKS = 5000n;
+
+/**
+ * Token addresses the BSC wallet may hold: every token the bot buys plus any token
+ * seen in an ERC-20 Transfer to the wallet. Cached per wallet in a JSON file so
+ * each scan only covers blocks since the previous one.
+ */
+export class BSCHoldingsTracker {
+  constructor(publicClient, walletAddress, { cacheFile = 'data/bsc-holdings.json', scanBlocks = 50000 } = {}) {
+    this.publicClient = publicClient;
+    this.walletAddress = walletAddress.toLowerCase();
+    this.cacheFile = cacheFile;
+    this.scanBlocks = BigInt(scanBlocks);
+    this.tokens = new Set();
+    this.lastScannedBlock = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.cacheFile)) return;
+      const cache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      const entry = cache[this.walletAddress];
+      if (!entry) return;
+      entry.tokens.forEach(token => this.tokens.add(token));
+      this.lastScannedBlock = entry.lastScannedBlock != null ? BigInt(entry.lastScannedBlock) : null;
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not read BSC holdings cache: ${error.message}`));
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      const cache = fs.existsSync(this.cacheFile) ? JSON.parse(fs.readFileSync(this.cacheFile, 'utf8')) : {};
+      cache[this.walletAddress] = {
+        tokens: [...this.tokens],
+        lastScannedBlock: this.lastScannedBlock?.toString() ?? null
+      };
+      fs.writeFileSync(this.cacheFile, JSON.stringify(cache, null, 2));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to save BSC holdings cache:'), error.message);
+    }
+  }
+
+  addToken(tokenAddress) {
+    const token = tokenAddress.toLowerCase();
+    if (this.tokens.has(token)) return;
+    this.tokens.add(token);
+    this.save();
+  }
+
+  /**
+   * Pick up tokens transferred to the wallet since the last scan, looking back at
+   * most `scanBlocks` blocks. A failed chunk keeps what was found before it.
+   */
+  async scan() {
+    const latest = await this.publicClient.getBlockNumber();
+    const earliest = latest > this.scanBlocks ? latest - this.scanBlocks : 0n;
+    let fromBlock = this.lastScannedBlock != null && this.lastScannedBlock + 1n > earliest
+      ? this.lastScannedBlock + 1n
+      : earliest;
+    const before = this.tokens.size;
+
+    console.log(chalk.gray(`🔎 Scanning BSC Transfer logs from block ${fromBlock} to ${latest}...`));
+
+    try {
+      while (fromBlock <= latest) {
+        const toBlock = fromBlock + LOG_CHUNK_BLOCKS - 1n < latest ? fromBlock + LOG_CHUNK_BLOCKS - 1n : latest;
+        const logs = await this.publicClient.getLogs({
+          event: TRANSFER_EVENT,
+          args: { to: this.walletAddress },
+          fromBlock,
+          toBlock
+        });
+        logs.forEach(log => this.tokens.add(log.address.toLowerCase()));
+        this.lastScannedBlock = toBlock;
+        fromBlock = toBlock + 1n;
+      }
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Transfer log scan stopped at block ${fromBlock}: ${error.message}`));
+    }
+
+    if (this.tokens.size > before) {
+      console.log(chalk.gray(`   Found ${this.tokens.size - before} new token(s)`));
+    }
+    this.save();
+    return this.getTokens();
+  }
+
+  getTokens() {
+    return [...this.tokens];
+  }
+}
@@ -0,0 +1,131 @@
+import { encodeFunctionData, decodeFunctionResult, parseEther } from 'viem';
+import chalk from 'chalk';
+
+// Runtime bytecode of contracts/HoneypotSimulator.sol. It is never deployed: eth_call
+// places it at SIMULATOR_ADDRESS through a state override for the duration of the call.
+const SIMULATOR_CODE = '0x60806040526004361061002d5760003560e01c80637158a60814610039578063c60060901461009957600080fd5b3661003457005b600080fd5b61004c61004736600461091d565b6100ac565b6040516100909190600060a0820190508251825260208301516020830152604083015160408301526060830151606083015260808301511515608083015292915050565b60405180910390f35b61004c6100a7366004610950565b610443565b6100e06040518060a00160405280600081526020016000815260200160008152602001600081526020016000151581525090565b604051638aaae30560e01b81526001600160a01b038381166004830152346024830152841690638aaae30590604401602060405180830381865afa15801561012c573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906101509190610993565b81526040516370a0823160e01b81523060048201526000906001600160a01b038416906370a0823190602401602060405180830381865afa158015610199573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906101bd9190610993565b60405163068f8fc160e41b81526001600160a01b03858116600483015260006024830152919250908516906368f8fc1090349060440160206040518083038185885af1158015610211573d6000803e3d6000fd5b50505050506040513d601f19601f820116820180604052508101906102369190610993565b506040516370a0823160e01b815230600482015281906001600160a01b038516906370a0823190602401602060405180830381865afa15801561027d573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906102a19190610993565b6102ab91906109ac565b602083018190526000036102bf575061043d565b60405163095ea7b360e01b81526001600160a01b038581166004830152600019602483015284169063095ea7b3906044016020604051808303816000875af115801561030f573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061033391906109cd565b50602082015160405163037edd2b60e31b81526001600160a01b038581166004830152602482019290925290851690631bf6e95890604401602060405180830381865afa158015610388573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906103ac9190610993565b60408381019190915260208301519051633e11741f60e01b81526001600160a01b0385811660048301526024820192909252600060448201524791861690633e11741f90606401600060405180830381600087803b15801561040d57600080fd5b505af192505050801561041e575060015b1561043a576001608084015261043481476109ac565b60608401525b50505b92915050565b6104776040518060a00160405280600081526020016000815260200160008152602001600081526020016000151581525090565b60408051600280825260608201835260009260208301908036833701905050905083816000815181106104ac576104ac610a05565b60200260200101906001600160a01b031690816001600160a01b03168152505082816001815181106104e0576104e0610a05565b6001600160a01b03929092166020928302919091018201526040805160028082526060820183526000939192909183019080368337019050509050838160008151811061052f5761052f610a05565b60200260200101906001600160a01b031690816001600160a01b031681525050848160018151811061056357610563610a05565b6001600160a01b03928316602091820292909201015260405163d06ca61f60e01b81529087169063d06ca61f906105a09034908690600401610a60565b600060405180830381865afa1580156105bd573d6000803e3d6000fd5b505050506040513d6000823e601f3d908101601f191682016040526105e59190810190610a81565b6001815181106105f7576105f7610a05565b602090810291909101015183526040516370a0823160e01b81523060048201526000906001600160a01b038616906370a0823190602401602060405180830381865afa15801561064b573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061066f9190610993565b9050866001600160a01b031663b6f9de953460008630426040518663ffffffff1660e01b81526004016106a59493929190610b3f565b6000604051808303818588803b1580156106be57600080fd5b505af11580156106d2573d6000803e3d6000fd5b50506040516370a0823160e01b81523060048201528493506001600160a01b03891692506370a082319150602401602060405180830381865afa15801561071d573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906107419190610993565b61074b91906109ac565b60208501819052600003610761575050506108fa565b60405163095ea7b360e01b81526001600160a01b038881166004830152600019602483015286169063095ea7b3906044016020604051808303816000875af11580156107b1573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906107d591906109cd565b50602084015160405163d06ca61f60e01b81526001600160a01b0389169163d06ca61f9161080891908690600401610a60565b600060405180830381865afa158015610825573d6000803e3d6000fd5b505050506040513d6000823e601f3d908101601f1916820160405261084d9190810190610a81565b60018151811061085f5761085f610a05565b60200260200101518460400181815250506000479050876001600160a01b031663791ac947866020015160008630426040518663ffffffff1660e01b81526004016108ae959493929190610b74565b600060405180830381600087803b1580156108c857600080fd5b505af19250505080156108d9575060015b156108f557600160808601526108ef81476109ac565b60608601525b505050505b9392505050565b80356001600160a01b038116811461091857600080fd5b919050565b6000806040838503121561093057600080fd5b61093983610901565b915061094760208401610901565b90509250929050565b60008060006060848603121561096557600080fd5b61096e84610901565b925061097c60208501610901565b915061098a60408501610901565b90509250925092565b6000602082840312156109a557600080fd5b5051919050565b8181038181111561043d57634e487b7160e01b600052601160045260246000fd5b6000602082840312156109df57600080fd5b815180151581146108fa57600080fd5b634e487b7160e01b600052604160045260246000fd5b634e487b7160e01b600052603260045260246000fd5b60008151808452602080850194506020840160005b83811015610a555781516001600160a01b031687529582019590820190600101610a30565b509495945050505050565b828152604060208201526000610a796040830184610a1b565b949350505050565b60006020808385031215610a9457600080fd5b825167ffffffffffffffff80821115610aac57600080fd5b818501915085601f830112610ac057600080fd5b815181811115610ad257610ad26109ef565b8060051b604051601f19603f83011681018181108582111715610af757610af76109ef565b604052918252848201925083810185019188831115610b1557600080fd5b938501935b82851015610b3357845184529385019392850192610b1a565b98975050505050505050565b848152608060208201526000610b586080830186610a1b565b6001600160a01b03949094166040830152506060015292915050565b85815284602082015260a060408201526000610b9360a0830186610a1b565b6001600160a01b039490941660608301525060800152939250505056fea26469706673582212201e8b1976b8bfffafa80d1e00bf0a33e14da55195493ed8b0e4553fbb0f3a057664736f6c63430008180033';
+const SIMULATOR_ADDRESS = '0x00000000000000000000000000000000000F00D1';
+const SIMULATOR_CALLER = '0x00000000000000000000000000000000000F00D2';
+
+const RESULT_COMPONENTS = [
+  { name: 'expectedBuy', type: 'uint256' },
+  { name: 'actualBuy', type: 'uint256' },
+  { name: 'expectedSell', type: 'uint256' },
+  { name: 'actualSell', type: 'uint256' },
+  { name: 'sellSucceeded', type: 'bool' }
+];
+
+const SIMULATOR_ABI = [
+  {
+    inputs: [
+      { name: 'router', type: 'address' },
+      { name: 'wbnb', type: 'address' },
+      { name: 'token', type: 'address' }
+    ],
+    name: 'simulatePancake',
+    outputs: [{ name: 'result', type: 'tuple', components: RESULT_COMPONENTS }],
+    stateMutability: 'payable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { name: 'exchange', type: 'address' },
+      { name: 'token', type: 'address' }
+    ],
+    name: 'simulateFourMeme',
+    outputs: [{ name: 'result', type: 'tuple', components: RESULT_COMPONENTS }],
+    stateMutability: 'payable',
+    type: 'function'
+  }
+];
+
+export const DEFAULT_HONEYPOT_RULES = {
+  maxBuyTaxPercent: 10,
+  maxSellTaxPercent: 10
+};
+
+// Tax as a percentage of the router/curve quote (2 decimal places)
+function taxPercent(expected, actual) {
+  if (expected === 0n || actual >= expected) return 0;
+  return Number((expected - actual) * 10000n / expected) / 100;
+}
+
+/**
+ * Simulates a buy followed by a sell through PancakeSwap or Four.meme with eth_call
+ * and state overrides, measuring effective buy/sell tax and detecting sell reverts.
+ */
+export class BSCHoneypotChecker {
+  constructor(publicClient, venues, rules = {}) {
+    this.publicClient = publicClient;
+    this.venues = venues; // { pancakeRouter, wbnb, fourMemeExchange }
+    this.rules = { ...DEFAULT_HONEYPOT_RULES, ...rules };
+  }
+
+  async check(tokenAddress, venue, amountBNB) {
+    const value = parseEther(amountBNB.toString());
+    const data = venue === 'fourmeme'
+      ? encodeFunctionData({
+        abi: SIMULATOR_ABI,
+        functionName: 'simulateFourMeme',
+        args: [this.venues.fourMemeExchange, tokenAddress]
+      })
+      : encodeFunctionData({
+        abi: SIMULATOR_ABI,
+        functionName: 'simulatePancake',
+        args: [this.venues.pancakeRouter, this.venues.wbnb, tokenAddress]
+      });
+
+    let simulation;
+    try {
+      const response = await this.publicClient.call({
+        account: SIMULATOR_CALLER,
+        to: SIMULATOR_ADDRESS,
+        data,
+        value,
+        stateOverride: [
+          { address: SIMULATOR_ADDRESS, code: SIMULATOR_CODE },
+          { address: SIMULATOR_CALLER, balance: value * 2n }
+        ]
+      });
+      simulation = decodeFunctionResult({
+        abi: SIMULATOR_ABI,
+        functionName: venue === 'fourmeme' ? 'simulateFourMeme' : 'simulatePancake',
+        data: response.data
+      });
+    } catch (error) {
+      console.error(chalk.yellow('⚠️  Honeypot simulation reverted:'), error.shortMessage || error.message);
+      return this.buildResult([`Buy simulation reverted: ${error.shortMessage || error.message}`], { venue });
+    }
+
+    const details = {
+      venue,
+      buyTaxPercent: taxPercent(simulation.expectedBuy, simulation.actualBuy),
+      sellTaxPercent: taxPercent(simulation.expectedSell, simulation.actualSell),
+      sellSucceeded: simulation.sellSucceeded,
+      simulatedTokensOut: simulation.actualBuy.toString(),
+      simulatedBNBBack: simulation.actualSell.toString()
+    };
+
+    const reasons = [];
+    if (simulation.actualBuy === 0n) {
+      reasons.push('Buy simulation returned no tokens');
+    } else if (!simulation.sellSucceeded) {
+      reasons.push('Sell simulation reverted (honeypot)');
+    } else if (details.sellTaxPercent > this.rules.maxSellTaxPercent) {
+      reasons.push(`Sell tax ${details.sellTaxPercent}% exceeds ${this.rules.maxSellTaxPercent}%`);
+    }
+    if (details.buyTaxPercent > this.rules.maxBuyTaxPercent) {
+      reasons.push(`Buy tax ${details.buyTaxPercent}% exceeds ${this.rules.maxBuyTaxPercent}%`);
+    }
+
+    return this.buildResult(reasons, details);
+  }
+
+  buildResult(reasons, details) {
+    return {
+      passed: reasons.length === 0,
+      reasons,
+      details
+    };
+  }
+}
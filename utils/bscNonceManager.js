@@ -0,0 +1,59 @@
+/**
+ * Hands out nonces locally so several transactions from one account can be in
+ * flight at once. Starts from the pending transaction count and resyncs from the
+ * chain after a failed send (so a dropped nonce is reused instead of leaving a gap).
+ * A resync waits until every acquired nonce has been broadcast or given up, and
+ * skips nonces our own broadcasts still hold past a gap, so no nonce is handed out twice.
+ */
+export class BSCNonceManager {
+  constructor(publicClient, address) {
+    this.publicClient = publicClient;
+    this.address = address;
+    this.nextNonce = null;
+    // Serializes acquire() so concurrent callers never read the same value
+    this.queue = Promise.resolve();
+    // Nonces acquired but not yet settled, and whether a resync waits on them
+    this.outstanding = 0;
+    this.resyncPending = false;
+    // Nonces of our broadcast transactions that may not be mined yet
+    this.broadcastNonces = new Set();
+  }
+
+  // Next nonce; call settle() once the transaction using it was broadcast or failed
+  acquire() {
+    this.outstanding++;
+    const nonce = this.queue.then(async () => {
+      if (this.nextNonce === null) {
+        const pending = await this.publicClient.getTransactionCount({ address: this.address, blockTag: 'pending' });
+        // Everything below the pending count is already accounted for by the node
+        this.broadcastNonces.forEach(used => { if (used < pending) this.broadcastNonces.delete(used); });
+        this.nextNonce = pending;
+      }
+      // After a resync into a gap, step over nonces our later sends already hold
+      while (this.broadcastNonces.has(this.nextNonce)) this.nextNonce++;
+      return this.nextNonce++;
+    });
+    // A failed acquire never reaches the caller's settle()
+    this.queue = nonce.catch(() => this.settle(null, false));
+    return nonce;
+  }
+
+  settle(nonce, broadcast) {
+    if (broadcast) this.broadcastNonces.add(nonce);
+    this.outstanding--;
+    if (this.outstanding === 0 && this.resyncPending) {
+      this.resyncPending = false;
+      this.nextNonce = null;
+    }
+  }
+
+  // Resync from the chain, with `unusedNonce` (failed or dropped) free to be handed out again
+  reset(unusedNonce = null) {
+    if (unusedNonce !== null) this.broadcastNonces.delete(unusedNonce);
+    if (this.outstanding > 0) {
+      this.resyncPending = true;
+      return;
+    }
+    this.nextNonce = null;
+  }
+}
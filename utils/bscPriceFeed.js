@@ -0,0 +1,155 @@
+import { formatEther, zeroAddress } from 'viem';
+
+const PANCAKE_FACTORY_ABI = [
+  {
+    inputs: [
+      { name: 'tokenA', type: 'address' },
+      { name: 'tokenB', type: 'address' }
+    ],
+    name: 'getPair',
+    outputs: [{ name: 'pair', type: 'address' }],
+    stateMutability: 'view',
+    type: 'function'
+  }
+];
+
+const PANCAKE_PAIR_ABI = [
+  {
+    inputs: [],
+    name: 'getReserves',
+    outputs: [
+      { name: 'reserve0', type: 'uint112' },
+      { name: 'reserve1', type: 'uint112' },
+      { name: 'blockTimestampLast', type: 'uint32' }
+    ],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [],
+    name: 'token0',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+    type: 'function'
+  }
+];
+
+const FOUR_MEME_PRICE_ABI = [
+  {
+    inputs: [{ name: 'tokenAddress', type: 'address' }],
+    name: 'isTokenLive',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [{ name: 'tokenAddress', type: 'address' }],
+    name: 'getTokenPrice',
+    outputs: [{ name: 'price', type: 'uint256' }],
+    stateMutability: 'view',
+    type: 'function'
+  }
+];
+
+const DECIMALS_ABI = [
+  {
+    inputs: [],
+    name: 'decimals',
+    outputs: [{ name: '', type: 'uint8' }],
+    stateMutability: 'view',
+    type: 'function'
+  }
+];
+
+/**
+ * On-chain BSC spot prices in BNB per whole token. Tokens still on the Four.meme
+ * bonding curve are priced by the curve, everything else by the PancakeSwap V2
+ * WBNB pair reserves. Pair addresses and decimals are cached per token.
+ */
+export class BSCPriceFeed {
+  constructor(publicClient, { pancakeFactory, wbnb, fourMemeExchange }) {
+    this.publicClient = publicClient;
+    this.pancakeFactory = pancakeFactory;
+    this.wbnb = wbnb;
+    this.fourMemeExchange = fourMemeExchange;
+    this.tokenCache = new Map();
+  }
+
+  // Static per-token data: decimals and the WBNB pair (null when there is none)
+  async getTokenMeta(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (this.tokenCache.has(key)) return this.tokenCache.get(key);
+
+    const [decimals, pair] = await Promise.all([
+      this.publicClient.readContract({ address: tokenAddress, abi: DECIMALS_ABI, functionName: 'decimals' }),
+      this.publicClient.readContract({
+        address: this.pancakeFactory,
+        abi: PANCAKE_FACTORY_ABI,
+        functionName: 'getPair',
+        args: [tokenAddress, this.wbnb]
+      })
+    ]);
+
+    let tokenIsToken0 = null;
+    if (pair !== zeroAddress) {
+      const token0 = await this.publicClient.readContract({ address: pair, abi: PANCAKE_PAIR_ABI, functionName: 'token0' });
+      tokenIsToken0 = token0.toLowerCase() === key;
+    }
+
+    const meta = { decimals: Number(decimals), pair: pair !== zeroAddress ? pair : null, tokenIsToken0 };
+    this.tokenCache.set(key, meta);
+    return meta;
+  }
+
+  async getFourMemePrice(tokenAddress) {
+    const isLive = await this.publicClient.readContract({
+      address: this.fourMemeExchange,
+      abi: FOUR_MEME_PRICE_ABI,
+      functionName: 'isTokenLive',
+      args: [tokenAddress]
+    });
+    if (!isLive) return null;
+
+    const price = await this.publicClient.readContract({
+      address: this.fourMemeExchange,
+      abi: FOUR_MEME_PRICE_ABI,
+      functionName: 'getTokenPrice',
+      args: [tokenAddress]
+    });
+    return price > 0n ? Number(formatEther(price)) : null;
+  }
+
+  async getPancakePrice(meta) {
+    if (!meta.pair) return null;
+
+    const [reserve0, reserve1] = await this.publicClient.readContract({
+      address: meta.pair,
+      abi: PANCAKE_PAIR_ABI,
+      functionName: 'getReserves'
+    });
+    const tokenReserve = meta.tokenIsToken0 ? reserve0 : reserve1;
+    const bnbReserve = meta.tokenIsToken0 ? reserve1 : reserve0;
+    if (tokenReserve === 0n) return null;
+
+    return Number(formatEther(bnbReserve)) / (Number(tokenReserve) / 10 ** meta.decimals);
+  }
+
+  /**
+   * Returns { price, venue, decimals } or null when no venue prices the token
+   */
+  async getPrice(tokenAddress) {
+    const meta = await this.getTokenMeta(tokenAddress);
+
+    // Four.meme reverts for tokens it never listed; treat that as "not on the curve"
+    const curvePrice = await this.getFourMemePrice(tokenAddress).catch(() => null);
+    if (curvePrice) {
+      return { price: curvePrice, venue: 'Four.meme', decimals: meta.decimals };
+    }
+
+    const pairPrice = await this.getPancakePrice(meta);
+    if (pairPrice) {
+      return { price: pairPrice, venue: 'PancakeSwap V2', decimals: meta.decimals };
+    }
+    return null;
+  }
+}
@@ -5,11 +5,25 @@ import {
   parseEther,
   formatEther,
   encodeFunctionData,
-  decodeFunctionResult
+  decodeFunctionResult,
+  parseEventLogs,
+  maxUint256
 } from 'viem';
 import { bsc } from 'viem/chains';
-import { mnemonicToAccount } from 'viem/accounts';
+import { mnemonicToAccount, privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
 import chalk from 'chalk';
+import { PositionSizer } from './positionSizer.js';
+import { SlippagePolicy } from './slippage.js';
+import { PaperWallet } from './paperWallet.js';
+import { BSCHoneypotChecker } from './bscHoneypotCheck.js';
+import { BSCHoldingsTracker } from './bscHoldings.js';
+import { decodeBscRevert } from './txFailures.js';
+import { BSCGasPolicy } from './bscGasPolicy.js';
+import { BSCNonceManager } from './bscNonceManager.js';
+import { discoverVenues } from './venueDiscovery.js';
+
+// How often pending transactions are checked for a receipt
+const RECEIPT_POLL_MS = 1500;
 
 // PancakeSwap Router V2 ABI (minimal)
 const PANCAKE_ROUTER_ABI = [
@@ -35,6 +49,42 @@ const PANCAKE_ROUTER_ABI = [
     outputs: [{ name: 'amounts', type: 'uint256[]' }],
     stateMutability: 'view',
     type: 'function'
+  },
+  {
+    inputs: [
+      { name: 'amountIn', type: 'uint256' },
+      { name: 'path', type: 'address[]' }
+    ],
+    name: 'getAmountsOut',
+    outputs: [{ name: 'amounts', type: 'uint256[]' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { name: 'amountIn', type: 'uint256' },
+      { name: 'amountOutMin', type: 'uint256' },
+      { name: 'path', type: 'address[]' },
+      { name: 'to', type: 'address' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    name: 'swapExactTokensForETHSupportingFeeOnTransferTokens',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  }
+];
+
+// WBNB unwrap event emitted when the router converts sale proceeds back to BNB
+const WBNB_ABI = [
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'src', type: 'address' },
+      { indexed: false, name: 'wad', type: 'uint256' }
+    ],
+    name: 'Withdrawal',
+    type: 'event'
   }
 ];
 
@@ -67,6 +117,36 @@ const ERC20_ABI = [
     outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
     type: 'function'
+  },
+  {
+    inputs: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' }
+    ],
+    name: 'allowance',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { name: 'spender', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ],
+    name: 'approve',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'from', type: 'address' },
+      { indexed: true, name: 'to', type: 'address' },
+      { indexed: false, name: 'value', type: 'uint256' }
+    ],
+    name: 'Transfer',
+    type: 'event'
   }
 ];
 
@@ -99,6 +179,27 @@ const FOUR_MEME_ABI = [
     stateMutability: 'view',
     type: 'function'
   },
+  {
+    inputs: [
+      { name: 'tokenAddress', type: 'address' },
+      { name: 'tokenAmount', type: 'uint256' }
+    ],
+    name: 'getSellQuote',
+    outputs: [{ name: 'bnbOut', type: 'uint256' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { name: 'tokenAddress', type: 'address' },
+      { name: 'tokenAmount', type: 'uint256' },
+      { name: 'minBNB', type: 'uint256' }
+    ],
+    name: 'sellToken',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
   {
     inputs: [{ name: 'tokenAddress', type: 'address' }],
     name: 'isTokenLive',
@@ -109,22 +210,52 @@ const FOUR_MEME_ABI = [
 ];
 
 export class BSCTokenBuyer {
-  constructor(mnemonic, derivationPath = "m/44'/60'/0'/0/0", rpcUrl = 'https://bsc-dataseed.binance.org/') {
-    // Generate account from mnemonic
-    this.account = mnemonicToAccount(mnemonic, {
-      path: derivationPath
-    });
+  constructor(mnemonic, derivationPath = "m/44'/60'/0'/0/0", rpcUrl = 'https://bsc-dataseed.binance.org/', options = {}) {
+    // Dry-run mode simulates fills against a paper wallet instead of signing
+    this.dryRun = options.dryRun || false;
+    if (this.dryRun) {
+      this.paperWallet = new PaperWallet('BNB', options.paperBalance ?? 5);
+    }
+    
+    // Generate account from mnemonic (dry-run without one uses a throwaway key)
+    if (mnemonic) {
+      this.account = mnemonicToAccount(mnemonic, {
+        path: derivationPath
+      });
+    } else if (this.dryRun) {
+      this.account = privateKeyToAccount(generatePrivateKey());
+    } else {
+      throw new Error('BSC mnemonic is required');
+    }
     
-    this.publicClient = createPublicClient({
+    // Transport (optionally a failover set of endpoints) and public client shared with
+    // the rest of the app, or our own on rpcUrl
+    const transport = options.transport || http(rpcUrl);
+    this.publicClient = options.publicClient || createPublicClient({
       chain: bsc,
-      transport: http(rpcUrl)
+      transport
     });
     
     this.walletClient = createWalletClient({
       account: this.account,
       chain: bsc,
-      transport: http(rpcUrl)
+      transport
     });
+    
+    // Venues that haven't answered by then are left out of the buy
+    this.discoveryTimeoutMs = options.discoveryTimeoutMs ?? 3000;
+    
+    // One client per RPC endpoint; when set, signed transactions are broadcast to all of them
+    this.broadcastClients = options.broadcastClients || [];
+    
+    // Gas pricing, local nonces and stuck-transaction replacement
+    const gasOptions = options.gas || {};
+    this.gasPolicy = new BSCGasPolicy(this.publicClient, gasOptions);
+    this.nonces = new BSCNonceManager(this.publicClient, this.account.address);
+    this.inFlight = new Map();
+    this.confirmations = gasOptions.confirmations ?? 1;
+    this.stuckAfterMs = gasOptions.stuckAfterMs ?? 15000;
+    this.maxSpeedUps = gasOptions.maxSpeedUps ?? 3;
 
     // PancakeSwap Router V2 address
     this.PANCAKE_ROUTER = '0x10ED43C718714eb63d5aA57B78B54704E256024E';
@@ -133,10 +264,34 @@ export class BSCTokenBuyer {
     // Four.meme Exchange address
     this.FOUR_MEME_EXCHANGE = '0x5c952063c7fc8610FFDB798152D69F0B9550762b';
     
-    console.log(chalk.gray(`🔑 BSC wallet: ${this.account.address}`));
+    // Decides how much BNB each buy spends
+    this.positionSizer = options.positionSizer || new PositionSizer({ symbol: 'BNB' });
+    // Derives minimum outputs from fresh quotes
+    this.slippage = options.slippagePolicy || new SlippagePolicy();
+    // Known allowances by `${token}:${spender}` so sells skip redundant approvals
+    this.allowances = new Map();
+    
+    // Tokens this wallet may hold, for sell-all (paper trading uses the paper wallet)
+    if (!this.dryRun) {
+      this.holdings = new BSCHoldingsTracker(this.publicClient, this.account.address, options.holdings || {});
+    }
+    
+    // Buy-then-sell simulation before every buy (disabled with honeypotRules: null)
+    if (options.honeypotRules !== null) {
+      this.honeypotChecker = new BSCHoneypotChecker(
+        this.publicClient,
+        { pancakeRouter: this.PANCAKE_ROUTER, wbnb: this.WBNB, fourMemeExchange: this.FOUR_MEME_EXCHANGE },
+        options.honeypotRules || {}
+      );
+    }
+    
+    console.log(chalk.gray(`🔑 BSC wallet: ${this.account.address}${this.dryRun ? ' (paper trading)' : ''}`));
   }
 
   async getBalance() {
+    if (this.dryRun) {
+      return this.paperWallet.getBalance();
+    }
     const balance = await this.publicClient.getBalance({
       address: this.account.address
     });
@@ -169,7 +324,383 @@ export class BSCTokenBuyer {
     }
   }
 
-  async checkFourMeme(tokenAddress) {
+  async getTokenBalance(tokenAddress) {
+    if (this.dryRun) {
+      return this.paperWallet.getHolding(tokenAddress);
+    }
+    return await this.publicClient.readContract({
+      address: tokenAddress,
+      abi: ERC20_ABI,
+      functionName: 'balanceOf',
+      args: [this.account.address]
+    });
+  }
+
+  // PancakeSwap V2 quote: output amount for amountIn along path
+  async getPancakeQuote(amountIn, path) {
+    const amounts = await this.publicClient.readContract({
+      address: this.PANCAKE_ROUTER,
+      abi: PANCAKE_ROUTER_ABI,
+      functionName: 'getAmountsOut',
+      args: [amountIn, path]
+    });
+    return amounts[amounts.length - 1];
+  }
+
+  async getFourMemeBuyQuote(tokenAddress, amountIn) {
+    return await this.publicClient.readContract({
+      address: this.FOUR_MEME_EXCHANGE,
+      abi: FOUR_MEME_ABI,
+      functionName: 'getBuyQuote',
+      args: [tokenAddress, amountIn]
+    });
+  }
+
+  async getFourMemeSellQuote(tokenAddress, tokenAmount) {
+    return await this.publicClient.readContract({
+      address: this.FOUR_MEME_EXCHANGE,
+      abi: FOUR_MEME_ABI,
+      functionName: 'getSellQuote',
+      args: [tokenAddress, tokenAmount]
+    });
+  }
+
+  /**
+   * Make sure spender may move at least `amount` of our tokens. Reuses the cached or
+   * on-chain allowance and only approves (exactly `amount`) when it falls short.
+   */
+  async ensureAllowance(tokenAddress, spender, amount) {
+    const key = `${tokenAddress.toLowerCase()}:${spender.toLowerCase()}`;
+    if ((this.allowances.get(key) ?? 0n) >= amount) {
+      return;
+    }
+
+    const current = await this.publicClient.readContract({
+      address: tokenAddress,
+      abi: ERC20_ABI,
+      functionName: 'allowance',
+      args: [this.account.address, spender]
+    });
+    this.allowances.set(key, current);
+    if (current >= amount) {
+      return;
+    }
+
+    console.log(chalk.gray(`   Approving ${spender} to spend ${tokenAddress}...`));
+    const approveTx = await this.sendTransaction({
+      to: tokenAddress,
+      data: encodeFunctionData({
+        abi: ERC20_ABI,
+        functionName: 'approve',
+        args: [spender, amount]
+      })
+    });
+
+    const receipt = await this.waitForReceipt(approveTx, 1);
+    if (receipt.status !== 'success') {
+      throw new Error('Approve transaction failed');
+    }
+    this.allowances.set(key, amount);
+  }
+
+  /**
+   * Send a transaction from our account. It is first run through eth_call so a
+   * revert surfaces as a decoded reason instead of a raw estimateGas/send error,
+   * then gas is estimated with a 20% buffer, priced by the gas policy ('snipe'
+   * for buys) and given a nonce from the local nonce manager, so several sends
+   * can be in flight at once. Returns the hash; waitForReceipt follows it
+   * through any speed-up replacements.
+   */
+  async sendTransaction(request, { purpose = 'trade', timer } = {}) {
+    const callRequest = { account: this.account.address, ...request };
+    let gasEstimate;
+    try {
+      await this.publicClient.call(callRequest);
+      gasEstimate = await this.publicClient.estimateGas(callRequest);
+    } catch (error) {
+      throw decodeBscRevert(error);
+    }
+    timer?.mark('simulate');
+
+    const gasPrice = await this.gasPolicy.getGasPrice(purpose);
+    const nonce = await this.nonces.acquire();
+    const tx = { ...request, gas: gasEstimate * 120n / 100n, gasPrice, nonce };
+
+    let hash;
+    try {
+      hash = await this.broadcastTransaction(tx);
+    } catch (error) {
+      // The nonce was never used; resync (once other sends are out) so the next send fills it
+      this.nonces.reset(nonce);
+      throw error;
+    } finally {
+      this.nonces.settle(nonce, hash !== undefined);
+    }
+
+    timer?.mark('sent');
+    this.inFlight.set(hash, { tx, hashes: [hash], speedUps: 0 });
+    return hash;
+  }
+
+  // With broadcast clients, sign locally and push to every endpoint; the first to accept wins
+  async broadcastTransaction(tx) {
+    if (this.broadcastClients.length === 0) {
+      return this.walletClient.sendTransaction(tx);
+    }
+
+    const prepared = await this.walletClient.prepareTransactionRequest(tx);
+    const serializedTransaction = await this.walletClient.signTransaction(prepared);
+    return Promise.any(
+      this.broadcastClients.map(client => client.sendRawTransaction({ serializedTransaction }))
+    ).catch(error => { throw error.errors?.[0] || error; });
+  }
+
+  // First receipt any endpoint has for any of the hashes (original or replacements)
+  async findReceipt(hashes) {
+    const clients = this.broadcastClients.length > 0 ? this.broadcastClients : [this.publicClient];
+    const lookups = hashes.flatMap(hash => clients.map(client =>
+      client.getTransactionReceipt({ hash }).catch(() => null)
+    ));
+    return (await Promise.all(lookups)).find(Boolean) || null;
+  }
+
+  // Same nonce, same call, higher gas price; false once the gas cap leaves no room
+  async speedUp(record) {
+    const gasPrice = this.gasPolicy.getSpeedUpPrice(record.tx.gasPrice);
+    if (!gasPrice) return false;
+
+    record.speedUps++;
+    try {
+      const replacement = { ...record.tx, gasPrice };
+      const hash = await this.broadcastTransaction(replacement);
+      record.tx = replacement;
+      record.hashes.push(hash);
+      console.log(chalk.yellow(`⏫ Nonce ${record.tx.nonce} stuck, replaced at ${this.gasPolicy.format(gasPrice)}: ${hash}`));
+    } catch (error) {
+      // "nonce too low" / "already known" usually means an earlier version just landed
+      console.log(chalk.gray(`   Speed-up not sent: ${error.shortMessage || error.message}`));
+    }
+    return true;
+  }
+
+  // True while any endpoint still knows one of the hashes (pending or mined)
+  async isKnown(hashes) {
+    const clients = this.broadcastClients.length > 0 ? this.broadcastClients : [this.publicClient];
+    const lookups = hashes.flatMap(hash => clients.map(client =>
+      client.getTransaction({ hash }).then(() => true, () => false)
+    ));
+    return (await Promise.all(lookups)).some(Boolean);
+  }
+
+  /**
+   * Wait for a transaction sent by sendTransaction (or any of its replacements) to
+   * be mined with the given confirmations. A transaction not mined within
+   * stuckAfterMs is re-sent at a higher gas price, up to maxSpeedUps times (or
+   * until the gas cap). After that we keep waiting until its nonce is consumed;
+   * only a transaction the nodes have dropped is given up on, and the nonce
+   * manager is resynced so later sends don't queue behind the gap.
+   */
+  async waitForReceipt(hash, confirmations = this.confirmations) {
+    const record = this.inFlight.get(hash) || { tx: null, hashes: [hash], speedUps: 0 };
+    let stuckAt = Date.now() + this.stuckAfterMs;
+    let pollsSinceNonceUsed = 0;
+
+    try {
+      while (true) {
+        const receipt = await this.findReceipt(record.hashes);
+        if (receipt) {
+          while (await this.publicClient.getBlockNumber() < receipt.blockNumber + BigInt(confirmations) - 1n) {
+            await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+          }
+          return receipt;
+        }
+
+        if (Date.now() > stuckAt) {
+          const replaced = record.tx && record.speedUps < this.maxSpeedUps && await this.speedUp(record);
+          stuckAt = Date.now() + this.stuckAfterMs;
+
+          if (!replaced && record.tx) {
+            const minedCount = await this.publicClient.getTransactionCount({ address: this.account.address, blockTag: 'latest' });
+            if (minedCount > record.tx.nonce) {
+              // Consumed: one of our hashes should have a receipt shortly, unless another transaction took the nonce
+              if (++pollsSinceNonceUsed > 3) {
+                throw new Error(`Nonce ${record.tx.nonce} was used by a transaction other than ${hash}`);
+              }
+            } else if (!(await this.isKnown(record.hashes))) {
+              this.nonces.reset(record.tx.nonce);
+              throw new Error(`Transaction ${hash} was dropped before being mined (${record.speedUps} speed-up(s))`);
+            }
+          } else if (!replaced && !(await this.isKnown(record.hashes))) {
+            throw new Error(`Transaction ${hash} is not known to the node`);
+          }
+        }
+        await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+      }
+    } finally {
+      this.inFlight.delete(hash);
+    }
+  }
+
+  // Spent allowance after a sell (unlimited approvals are not decremented by tokens)
+  consumeAllowance(tokenAddress, spender, amount) {
+    const key = `${tokenAddress.toLowerCase()}:${spender.toLowerCase()}`;
+    const cached = this.allowances.get(key);
+    if (cached !== undefined && cached !== maxUint256) {
+      this.allowances.set(key, cached > amount ? cached - amount : 0n);
+    }
+  }
+
+  /**
+   * BNB that a confirmed transaction paid into our wallet, measured for that
+   * transaction alone: its internal transfers to us (trace). Without tracing, the
+   * block's balance change (plus gas) is only used when this was the sole
+   * transaction we sent in that block; otherwise null and the caller falls back
+   * to its quote.
+   */
+  async getNativeReceived(receipt) {
+    const traced = await this.getTracedBNB(receipt.transactionHash);
+    if (traced !== null) return traced;
+
+    const address = this.account.address;
+    const [sentBefore, sentAfter, before, after] = await Promise.all([
+      this.publicClient.getTransactionCount({ address, blockNumber: receipt.blockNumber - 1n }),
+      this.publicClient.getTransactionCount({ address, blockNumber: receipt.blockNumber }),
+      this.publicClient.getBalance({ address, blockNumber: receipt.blockNumber - 1n }),
+      this.publicClient.getBalance({ address, blockNumber: receipt.blockNumber })
+    ]);
+    if (sentAfter - sentBefore !== 1) return null;
+    return after - before + receipt.gasUsed * receipt.effectiveGasPrice;
+  }
+
+  /**
+   * Exact fill of a confirmed buy from its receipt: tokens are the token's Transfer
+   * logs into our wallet (the balance may include earlier holdings, and
+   * fee-on-transfer tokens deliver less than the router moved), BNB spent is the
+   * value sent plus the gas paid.
+   */
+  getBuyFill(receipt, tokenAddress, value) {
+    const wallet = this.account.address.toLowerCase();
+    const actualOut = parseEventLogs({ abi: ERC20_ABI, eventName: 'Transfer', logs: receipt.logs })
+      .filter(log => log.address.toLowerCase() === tokenAddress.toLowerCase() && log.args.to.toLowerCase() === wallet)
+      .reduce((sum, log) => sum + log.args.value, 0n);
+    return { actualOut, nativeSpent: value + receipt.gasUsed * receipt.effectiveGasPrice };
+  }
+
+  /**
+   * BNB paid to our wallet by internal calls of this transaction alone, from a
+   * callTracer trace (so concurrent sells in the same block aren't mixed up).
+   * Null when the RPC doesn't support debug_traceTransaction.
+   */
+  async getTracedBNB(hash) {
+    try {
+      const trace = await this.publicClient.request({
+        method: 'debug_traceTransaction',
+        params: [hash, { tracer: 'callTracer' }]
+      });
+      const wallet = this.account.address.toLowerCase();
+      const paidToUs = call => (call.calls || []).reduce(
+        (sum, inner) => sum + (inner.to?.toLowerCase() === wallet && inner.value ? BigInt(inner.value) : 0n) + paidToUs(inner),
+        0n
+      );
+      return paidToUs(trace);
+    } catch {
+      return null;
+    }
+  }
+
+  // Router sales unwrap WBNB to us; the Withdrawal log carries the exact amount
+  getUnwrappedBNB(receipt) {
+    const withdrawals = parseEventLogs({ abi: WBNB_ABI, eventName: 'Withdrawal', logs: receipt.logs })
+      .filter(log => log.address.toLowerCase() === this.WBNB.toLowerCase() &&
+        log.args.src.toLowerCase() === this.PANCAKE_ROUTER.toLowerCase());
+    return withdrawals.length > 0 ? withdrawals.reduce((sum, log) => sum + log.args.wad, 0n) : null;
+  }
+
+  // Dry-run fill: quote the buy on the discovered venue and record it on the paper wallet
+  async simulateBuy(tokenAddress, amountBNB, platform, decimals) {
+    try {
+      const amountIn = parseEther(amountBNB.toString());
+      const venue = platform === 'Four.meme' ? 'fourmeme' : 'pancakeswap';
+      const expectedOut = venue === 'fourmeme'
+        ? await this.getFourMemeBuyQuote(tokenAddress, amountIn)
+        : await this.getPancakeQuote(amountIn, [this.WBNB, tokenAddress]);
+      
+      if (expectedOut === 0n) {
+        return { success: false, error: 'Could not quote simulated fill' };
+      }
+      
+      this.paperWallet.recordBuy(tokenAddress, amountBNB, expectedOut);
+      const entryPrice = amountBNB / (Number(expectedOut) / 10 ** Number(decimals));
+      
+      return {
+        success: true,
+        simulated: true,
+        hash: `paper-${Date.now()}`,
+        platform,
+        amount: amountBNB,
+        tokenReceived: expectedOut.toString(),
+        expectedOut: expectedOut.toString(),
+        minOut: this.slippage.minOutput(expectedOut, venue).toString(),
+        actualOut: expectedOut.toString(),
+        decimals: Number(decimals),
+        entryPrice
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ Simulated purchase failed:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async simulateSell(tokenAddress, tokenAmount) {
+    const amount = BigInt(tokenAmount);
+    let platform = 'Four.meme';
+    let expectedOut;
+    try {
+      expectedOut = await this.getFourMemeSellQuote(tokenAddress, amount);
+    } catch {
+      platform = 'PancakeSwap';
+      expectedOut = await this.getPancakeQuote(amount, [tokenAddress, this.WBNB]);
+    }
+    
+    const bnbReceived = parseFloat(formatEther(expectedOut));
+    this.paperWallet.recordSell(tokenAddress, amount, bnbReceived);
+    
+    return {
+      success: true,
+      simulated: true,
+      hash: `paper-${Date.now()}`,
+      platform,
+      bnbReceived
+    };
+  }
+
+  // Returns null when the check passed (or is disabled), otherwise a failed buy result
+  async runHoneypotCheck(tokenAddress, venue, amountBNB) {
+    if (!this.honeypotChecker) return null;
+    
+    console.log(chalk.blue('🍯 Simulating buy and sell for honeypot/tax detection...'));
+    const honeypotCheck = await this.honeypotChecker.check(tokenAddress, venue, amountBNB);
+    const { buyTaxPercent, sellTaxPercent } = honeypotCheck.details;
+    
+    if (buyTaxPercent !== undefined) {
+      console.log(chalk.gray(`   Buy tax: ${buyTaxPercent}%, Sell tax: ${sellTaxPercent}%`));
+    }
+    
+    if (honeypotCheck.passed) {
+      console.log(chalk.green('✅ Honeypot check passed'));
+      return null;
+    }
+    
+    console.log(chalk.red('🛑 Honeypot check blocked this buy:'));
+    honeypotCheck.reasons.forEach(reason => console.log(chalk.red(`   • ${reason}`)));
+    return {
+      success: false,
+      error: `Honeypot check failed: ${honeypotCheck.reasons.join('; ')}`,
+      honeypotCheck
+    };
+  }
+
+  async checkFourMeme(tokenAddress, quoteAmount = parseEther('0.1')) {
     try {
       console.log(chalk.blue('🔍 Checking Four.meme...'));
       
@@ -182,22 +713,16 @@ export class BSCTokenBuyer {
       });
 
       if (isLive) {
-        // Get token price
-        const price = await this.publicClient.readContract({
-          address: this.FOUR_MEME_EXCHANGE,
-          abi: FOUR_MEME_ABI,
-          functionName: 'getTokenPrice',
-          args: [tokenAddress]
-        });
-
-        // Get buy quote for 0.1 BNB
-        const testAmount = parseEther('0.1');
-        const tokensOut = await this.publicClient.readContract({
-          address: this.FOUR_MEME_EXCHANGE,
-          abi: FOUR_MEME_ABI,
-          functionName: 'getBuyQuote',
-          args: [tokenAddress, testAmount]
-        });
+        // Token price and a buy quote for quoteAmount (batched into one multicall)
+        const [price, tokensOut] = await Promise.all([
+          this.publicClient.readContract({
+            address: this.FOUR_MEME_EXCHANGE,
+            abi: FOUR_MEME_ABI,
+            functionName: 'getTokenPrice',
+            args: [tokenAddress]
+          }),
+          this.getFourMemeBuyQuote(tokenAddress, quoteAmount)
+        ]);
 
         return {
           isAvailable: true,
@@ -213,25 +738,19 @@ export class BSCTokenBuyer {
     }
   }
 
-  async checkPancakeSwapLiquidity(tokenAddress) {
+  async checkPancakeSwapLiquidity(tokenAddress, quoteAmount = parseEther('0.1')) {
     try {
       console.log(chalk.blue('🔍 Checking PancakeSwap...'));
       
-      // Try to get quote for 0.1 BNB
-      const testAmount = parseEther('0.1');
+      // Try to get a quote for quoteAmount
       const path = [this.WBNB, tokenAddress];
       
-      const amounts = await this.publicClient.readContract({
-        address: this.PANCAKE_ROUTER,
-        abi: PANCAKE_ROUTER_ABI,
-        functionName: 'getAmountsIn',
-        args: [testAmount, path]
-      });
+      const tokensOut = await this.getPancakeQuote(quoteAmount, path);
 
-      if (amounts && amounts.length > 0) {
+      if (tokensOut > 0n) {
         return {
           hasLiquidity: true,
-          testQuote: formatEther(amounts[1])
+          testQuote: tokensOut.toString()
         };
       }
       
@@ -242,25 +761,31 @@ export class BSCTokenBuyer {
     }
   }
 
-  async buyOnPancakeSwap(tokenAddress, amountBNB) {
+  async buyOnPancakeSwap(tokenAddress, amountBNB, { timer, tokenInfo: knownTokenInfo } = {}) {
+    // Set once the transaction is out, so a failure after that is never retried elsewhere
+    let hash;
     try {
       console.log(chalk.blue(`🥞 Attempting to buy on PancakeSwap...`));
       console.log(chalk.gray(`   Token: ${tokenAddress}`));
       console.log(chalk.gray(`   Amount: ${amountBNB} BNB`));
 
-      // Get token info
-      const tokenInfo = await this.getTokenInfo(tokenAddress);
+      // Get token info (already read during discovery when called from buyToken)
+      const tokenInfo = knownTokenInfo || await this.getTokenInfo(tokenAddress);
       if (!tokenInfo.exists) {
         throw new Error('Token contract not found or invalid');
       }
 
       console.log(chalk.gray(`   Token: ${tokenInfo.symbol} (${tokenInfo.name})`));
 
-      // Set up swap parameters
+      // Set up swap parameters from a fresh quote
       const amountIn = parseEther(amountBNB.toString());
-      const amountOutMin = 0n; // Accept any amount (use slippage in production)
       const path = [this.WBNB, tokenAddress];
+      const expectedOut = await this.getPancakeQuote(amountIn, path);
+      const amountOutMin = this.slippage.minOutput(expectedOut, 'pancakeswap');
       const to = this.account.address;
+
+      console.log(chalk.gray(`   Expected: ${expectedOut} tokens (min ${amountOutMin}, ${this.slippage.getBps('pancakeswap')} bps)`));
+      
       const deadline = BigInt(Math.floor(Date.now() / 1000) + 60 * 20); // 20 minutes
 
       // Encode swap function
@@ -270,76 +795,75 @@ export class BSCTokenBuyer {
         args: [amountOutMin, path, to, deadline]
       });
 
-      // Estimate gas
-      const gasEstimate = await this.publicClient.estimateGas({
-        account: this.account.address,
-        to: this.PANCAKE_ROUTER,
-        data,
-        value: amountIn
-      });
+
+      timer?.mark('build');
 
       // Send transaction
-      const hash = await this.walletClient.sendTransaction({
+      hash = await this.sendTransaction({
         to: this.PANCAKE_ROUTER,
         data,
-        value: amountIn,
-        gas: gasEstimate * 120n / 100n // Add 20% buffer
-      });
+        value: amountIn
+      }, { purpose: 'snipe', timer });
 
       console.log(chalk.yellow(`⏳ Transaction sent: ${hash}`));
       
       // Wait for confirmation
-      const receipt = await this.publicClient.waitForTransactionReceipt({
-        hash,
-        confirmations: 2
-      });
+      const receipt = await this.waitForReceipt(hash);
 
       if (receipt.status === 'success') {
         console.log(chalk.green(`✅ Purchase successful on PancakeSwap!`));
         console.log(chalk.gray(`   Transaction: ${hash}`));
+        this.holdings.addToken(tokenAddress);
         
-        // Get token balance
-        const tokenBalance = await this.publicClient.readContract({
-          address: tokenAddress,
-          abi: ERC20_ABI,
-          functionName: 'balanceOf',
-          args: [this.account.address]
-        });
+        const { actualOut, nativeSpent } = this.getBuyFill(receipt, tokenAddress, amountIn);
 
-        console.log(chalk.gray(`   Tokens received: ${tokenBalance}`));
+        console.log(chalk.gray(`   Tokens received: ${actualOut} (expected ${expectedOut})`));
+        console.log(chalk.gray(`   BNB spent: ${formatEther(nativeSpent)} (incl. gas)`));
         
         return {
           success: true,
           hash,
           platform: 'PancakeSwap',
           amount: amountBNB,
-          tokenReceived: tokenBalance.toString()
+          nativeSpent: Number(formatEther(nativeSpent)),
+          tokenReceived: actualOut.toString(),
+          expectedOut: expectedOut.toString(),
+          minOut: amountOutMin.toString(),
+          actualOut: actualOut.toString(),
+          slippageBps: this.slippage.getBps('pancakeswap'),
+          timings: timer?.summary()
         };
       } else {
         throw new Error('Transaction failed');
       }
     } catch (error) {
       console.error(chalk.red('❌ PancakeSwap purchase failed:'), error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason, hash };
     }
   }
 
-  async buyOnFourMeme(tokenAddress, amountBNB) {
+  async buyOnFourMeme(tokenAddress, amountBNB, { timer, tokenInfo: knownTokenInfo } = {}) {
+    // Set once the transaction is out, so a failure after that is never retried elsewhere
+    let hash;
     try {
       console.log(chalk.blue(`🟦 Attempting to buy on Four.meme...`));
       console.log(chalk.gray(`   Token: ${tokenAddress}`));
       console.log(chalk.gray(`   Amount: ${amountBNB} BNB`));
 
-      // Get token info
-      const tokenInfo = await this.getTokenInfo(tokenAddress);
+      // Get token info (already read during discovery when called from buyToken)
+      const tokenInfo = knownTokenInfo || await this.getTokenInfo(tokenAddress);
       if (!tokenInfo.exists) {
         throw new Error('Token contract not found or invalid');
       }
 
       console.log(chalk.gray(`   Token: ${tokenInfo.symbol} (${tokenInfo.name})`));
 
+      // Derive minimum output from a fresh quote
       const amountIn = parseEther(amountBNB.toString());
-      const minTokensOut = 0n; // Accept any amount (use slippage in production)
+      const expectedOut = await this.getFourMemeBuyQuote(tokenAddress, amountIn);
+      const minTokensOut = this.slippage.minOutput(expectedOut, 'fourmeme');
+
+      console.log(chalk.gray(`   Expected: ${expectedOut} tokens (min ${minTokensOut}, ${this.slippage.getBps('fourmeme')} bps)`));
 
       // Encode buy function for Four.meme
       const data = encodeFunctionData({
@@ -348,61 +872,93 @@ export class BSCTokenBuyer {
         args: [tokenAddress, minTokensOut]
       });
 
-      // Estimate gas
-      const gasEstimate = await this.publicClient.estimateGas({
-        account: this.account.address,
-        to: this.FOUR_MEME_EXCHANGE,
-        data,
-        value: amountIn
-      });
+
+      timer?.mark('build');
 
       // Send transaction
-      const hash = await this.walletClient.sendTransaction({
+      hash = await this.sendTransaction({
         to: this.FOUR_MEME_EXCHANGE,
         data,
-        value: amountIn,
-        gas: gasEstimate * 120n / 100n // Add 20% buffer
-      });
+        value: amountIn
+      }, { purpose: 'snipe', timer });
 
       console.log(chalk.yellow(`⏳ Transaction sent: ${hash}`));
       
       // Wait for confirmation
-      const receipt = await this.publicClient.waitForTransactionReceipt({
-        hash,
-        confirmations: 2
-      });
+      const receipt = await this.waitForReceipt(hash);
 
       if (receipt.status === 'success') {
         console.log(chalk.green(`✅ Purchase successful on Four.meme!`));
         console.log(chalk.gray(`   Transaction: ${hash}`));
+        this.holdings.addToken(tokenAddress);
         
-        // Get token balance
-        const tokenBalance = await this.publicClient.readContract({
-          address: tokenAddress,
-          abi: ERC20_ABI,
-          functionName: 'balanceOf',
-          args: [this.account.address]
-        });
+        const { actualOut, nativeSpent } = this.getBuyFill(receipt, tokenAddress, amountIn);
 
-        console.log(chalk.gray(`   Tokens received: ${tokenBalance}`));
+        console.log(chalk.gray(`   Tokens received: ${actualOut} (expected ${expectedOut})`));
+        console.log(chalk.gray(`   BNB spent: ${formatEther(nativeSpent)} (incl. gas)`));
         
         return {
           success: true,
           hash,
           platform: 'Four.meme',
           amount: amountBNB,
-          tokenReceived: tokenBalance.toString()
+          nativeSpent: Number(formatEther(nativeSpent)),
+          tokenReceived: actualOut.toString(),
+          expectedOut: expectedOut.toString(),
+          minOut: minTokensOut.toString(),
+          actualOut: actualOut.toString(),
+          slippageBps: this.slippage.getBps('fourmeme'),
+          timings: timer?.summary()
         };
       } else {
         throw new Error('Transaction failed');
       }
     } catch (error) {
       console.error(chalk.red('❌ Four.meme purchase failed:'), error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason, hash };
     }
   }
 
-  async buyToken(tokenAddress) {
+  /**
+   * Four.meme and PancakeSwap looked up concurrently within discoveryTimeoutMs,
+   * each quoted for `amountBNB`; best quote first.
+   */
+  async discoverVenues(tokenAddress, amountBNB) {
+    const amountIn = parseEther(amountBNB.toString());
+
+    return discoverVenues([
+      {
+        venue: 'Four.meme',
+        check: async () => {
+          const fourMemeCheck = await this.checkFourMeme(tokenAddress, amountIn);
+          if (!fourMemeCheck.isAvailable) return null;
+          console.log(chalk.gray(`   Four.meme price: ${fourMemeCheck.price} BNB`));
+          return {
+            platform: 'Four.meme',
+            venue: 'fourmeme',
+            expectedOut: BigInt(fourMemeCheck.testQuote),
+            buy: options => this.buyOnFourMeme(tokenAddress, amountBNB, options)
+          };
+        }
+      },
+      {
+        venue: 'PancakeSwap',
+        check: async () => {
+          const liquidityCheck = await this.checkPancakeSwapLiquidity(tokenAddress, amountIn);
+          if (!liquidityCheck.hasLiquidity) return null;
+          return {
+            platform: 'PancakeSwap',
+            venue: 'pancakeswap',
+            expectedOut: BigInt(liquidityCheck.testQuote),
+            buy: options => this.buyOnPancakeSwap(tokenAddress, amountBNB, options)
+          };
+        }
+      }
+    ], this.discoveryTimeoutMs);
+  }
+
+  async buyToken(tokenAddress, context = {}) {
+    const { timer } = context;
     try {
       // Validate address format
       if (!tokenAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
@@ -410,20 +966,29 @@ export class BSCTokenBuyer {
         return { success: false, error: 'Invalid address format' };
       }
 
-      // Get current balance
+      // Get current balance and size the position
       const balance = await this.getBalance();
-      const buyAmount = Math.floor(balance); // Integer BNB amount
+      const sizing = this.positionSizer.getBuyAmount(balance, context);
+      const buyAmount = sizing.amount;
       
-      if (buyAmount < 1) {
-        console.log(chalk.yellow(`⚠️  Insufficient balance: ${balance} BNB (need at least 1 BNB)`));
-        return { success: false, error: 'Insufficient balance' };
+      if (buyAmount <= 0) {
+        console.log(chalk.yellow(`⚠️  Skipping buy: ${sizing.reason}`));
+        return { success: false, error: `Insufficient balance: ${sizing.reason}` };
       }
 
       console.log(chalk.cyan(`💰 Wallet balance: ${balance.toFixed(4)} BNB`));
       console.log(chalk.cyan(`📊 Will buy with: ${buyAmount} BNB`));
+      console.log(chalk.gray(`   Sizing: ${sizing.reason}`));
+
+      timer?.mark('sizing');
+
+      // Token contract and every venue at once, each venue quoted for the actual buy amount
+      const [tokenInfo, venues] = await Promise.all([
+        this.getTokenInfo(tokenAddress),
+        this.discoverVenues(tokenAddress, buyAmount)
+      ]);
+      timer?.mark('discovery');
 
-      // Check token contract
-      const tokenInfo = await this.getTokenInfo(tokenAddress);
       if (!tokenInfo.exists) {
         console.log(chalk.yellow('⚠️  Token contract not found or invalid'));
         return { success: false, error: 'Invalid token contract' };
@@ -434,21 +999,29 @@ export class BSCTokenBuyer {
       console.log(chalk.gray(`   Symbol: ${tokenInfo.symbol}`));
       console.log(chalk.gray(`   Decimals: ${tokenInfo.decimals}`));
 
-      // Check Four.meme first (priority platform for meme tokens)
-      const fourMemeCheck = await this.checkFourMeme(tokenAddress);
-      if (fourMemeCheck.isAvailable) {
-        console.log(chalk.green('✅ Token found on Four.meme!'));
-        console.log(chalk.gray(`   Price: ${fourMemeCheck.price} BNB`));
-        console.log(chalk.gray(`   Test Quote: ${fourMemeCheck.testQuote} tokens for 0.1 BNB`));
+      if (venues.length > 0) {
+        venues.forEach(venue => console.log(chalk.gray(`   ${venue.platform}: ${venue.expectedOut} tokens`)));
+        console.log(chalk.green(`✅ Best venue: ${venues[0].platform}`));
         
-        return await this.buyOnFourMeme(tokenAddress, buyAmount);
-      }
-
-      // Fallback to PancakeSwap
-      const liquidityCheck = await this.checkPancakeSwapLiquidity(tokenAddress);
-      if (liquidityCheck.hasLiquidity) {
-        console.log(chalk.green('✅ Liquidity found on PancakeSwap'));
-        return await this.buyOnPancakeSwap(tokenAddress, buyAmount);
+        // Next-best quote if a venue fails before sending; once a transaction went out
+        // (result carries its hash) another venue could double the position
+        let result;
+        for (const [index, venue] of venues.entries()) {
+          if (index > 0) console.log(chalk.yellow(`↪️  Trying next venue: ${venue.platform}`));
+          
+          // Honeypot simulation on the venue actually used
+          const honeypotFailure = await this.runHoneypotCheck(tokenAddress, venue.venue, buyAmount);
+          if (honeypotFailure) return honeypotFailure;
+          timer?.mark('honeypot');
+          
+          if (this.dryRun) {
+            const simulated = await this.simulateBuy(tokenAddress, buyAmount, venue.platform, tokenInfo.decimals);
+            return { ...simulated, timings: timer?.summary() };
+          }
+          result = await venue.buy({ timer, tokenInfo });
+          if (result.success || result.hash) return result;
+        }
+        return result;
       }
 
       console.log(chalk.yellow('⚠️  Token not found on Four.meme or PancakeSwap'));
@@ -460,8 +1033,8 @@ export class BSCTokenBuyer {
     }
   }
 
-  // 모든 토큰을 BNB로 판매하는 기능
-  async sellAllTokensToBNB() {
+  // 토큰을 BNB로 판매하는 기능 (shouldSell로 판매 대상 토큰을 제한)
+  async sellAllTokensToBNB(shouldSell = () => true) {
     try {
       console.log(chalk.bgRed.white('🔥 SELLING ALL TOKENS TO BNB 🔥'));
       
@@ -469,43 +1042,35 @@ export class BSCTokenBuyer {
       const sellResults = [];
       let totalBNBReceived = 0;
 
-      // 사용자 지갑이 보유한 토큰들 (수동으로 토큰 주소를 추가해야 함)
-      // 실제 구현에서는 BSC 스캔 API나 다른 방법으로 토큰 목록을 가져올 수 있습니다
-      const knownTokens = this.getKnownTokens();
+      // 봇이 구매한 토큰 + Transfer 로그로 찾은 토큰 중 판매 대상만 선택
+      const knownTokens = (await this.getKnownTokens()).filter(tokenAddress => shouldSell(tokenAddress));
 
-      for (const tokenAddress of knownTokens) {
+      // 논스를 로컬에서 관리하므로 토큰별 approve/판매를 동시에 진행
+      await Promise.all(knownTokens.map(async tokenAddress => {
         try {
           // 토큰 잔액 확인
-          const balance = await this.publicClient.readContract({
-            address: tokenAddress,
-            abi: ERC20_ABI,
-            functionName: 'balanceOf',
-            args: [this.account.address]
-          });
+          const balance = await this.getTokenBalance(tokenAddress);
 
           // 잔액이 0이면 건너뛰기
-          if (balance === 0n) continue;
+          if (balance === 0n) return;
 
           const tokenInfo = await this.getTokenInfo(tokenAddress);
           console.log(chalk.yellow(`🔄 Selling token: ${tokenInfo.name} (${tokenInfo.symbol})`));
           console.log(chalk.gray(`   Balance: ${balance.toString()} wei`));
 
           const sellResult = await this.sellSingleToken(tokenAddress, balance.toString());
-          sellResults.push(sellResult);
+          sellResults.push({ tokenAddress, ...sellResult });
           
           if (sellResult.success) {
             totalBNBReceived += sellResult.bnbReceived || 0;
-            console.log(chalk.green(`✅ Sold for ${sellResult.bnbReceived?.toFixed(4)} BNB`));
+            console.log(chalk.green(`✅ ${tokenInfo.symbol} sold for ${sellResult.bnbReceived?.toFixed(4)} BNB`));
           } else {
-            console.log(chalk.red(`❌ Failed to sell: ${sellResult.error}`));
+            console.log(chalk.red(`❌ Failed to sell ${tokenInfo.symbol}: ${sellResult.error}`));
           }
-
-          // 판매 간 딜레이
-          await new Promise(resolve => setTimeout(resolve, 2000));
         } catch (error) {
           console.error(chalk.red(`❌ Error processing token ${tokenAddress}:`), error.message);
         }
-      }
+      }));
 
       console.log(chalk.bgGreen.black(`\n🎉 SELL COMPLETED! Total BNB received: ${totalBNBReceived.toFixed(4)} BNB`));
       
@@ -523,6 +1088,10 @@ export class BSCTokenBuyer {
 
   async sellSingleToken(tokenAddress, tokenAmount) {
     try {
+      if (this.dryRun) {
+        return await this.simulateSell(tokenAddress, tokenAmount);
+      }
+      
       // Four.meme에서 먼저 판매 시도
       const fourMemeResult = await this.sellOnFourMeme(tokenAddress, tokenAmount);
       if (fourMemeResult.success) {
@@ -545,23 +1114,23 @@ export class BSCTokenBuyer {
     try {
       console.log(chalk.blue('🟦 Attempting Four.meme sell...'));
       
-      // Four.meme 판매 로직 
-      const minBNBOut = 0n; // Accept any amount (use slippage in production)
-
-      // Approve token spending first
-      const approveTx = await this.walletClient.sendTransaction({
-        to: tokenAddress,
-        data: encodeFunctionData({
-          abi: ERC20_ABI,
-          functionName: 'approve',
-          args: [this.FOUR_MEME_EXCHANGE, BigInt(tokenAmount)]
-        })
-      });
+      // Four.meme 판매 로직: only tokens still trading there, minimum output from a fresh quote
+      const [isLive, expectedOut] = await Promise.all([
+        this.publicClient.readContract({
+          address: this.FOUR_MEME_EXCHANGE,
+          abi: FOUR_MEME_ABI,
+          functionName: 'isTokenLive',
+          args: [tokenAddress]
+        }),
+        this.getFourMemeSellQuote(tokenAddress, BigInt(tokenAmount))
+      ]);
+      if (!isLive || expectedOut <= 0n) {
+        return { success: false, error: 'Token is not trading on Four.meme' };
+      }
+      const minBNBOut = this.slippage.minOutput(expectedOut, 'fourmeme');
 
-      await this.publicClient.waitForTransactionReceipt({
-        hash: approveTx,
-        confirmations: 1
-      });
+      // Approve only once the sell can go through (skipped when the allowance already covers it)
+      await this.ensureAllowance(tokenAddress, this.FOUR_MEME_EXCHANGE, BigInt(tokenAmount));
 
       // Encode sell function for Four.meme
       const data = encodeFunctionData({
@@ -570,42 +1139,40 @@ export class BSCTokenBuyer {
         args: [tokenAddress, BigInt(tokenAmount), minBNBOut]
       });
 
-      // Estimate gas
-      const gasEstimate = await this.publicClient.estimateGas({
-        account: this.account.address,
-        to: this.FOUR_MEME_EXCHANGE,
-        data
-      });
 
       // Send transaction
-      const hash = await this.walletClient.sendTransaction({
+      const hash = await this.sendTransaction({
         to: this.FOUR_MEME_EXCHANGE,
-        data,
-        gas: gasEstimate * 120n / 100n // Add 20% buffer
+        data
       });
 
       // Wait for confirmation
-      const receipt = await this.publicClient.waitForTransactionReceipt({
-        hash,
-        confirmations: 2
-      });
+      const receipt = await this.waitForReceipt(hash);
 
       if (receipt.status === 'success') {
-        // Calculate BNB received from transaction logs (simplified)
-        const bnbReceived = 0.001; // Mock value - in practice, parse logs
+        this.consumeAllowance(tokenAddress, this.FOUR_MEME_EXCHANGE, BigInt(tokenAmount));
+        
+        // Four.meme pays BNB directly: measure this transaction's own payout
+        const received = await this.getNativeReceived(receipt);
+        if (received === null) {
+          console.log(chalk.yellow('⚠️  Could not isolate the BNB received, using the quoted output'));
+        }
+        const bnbReceived = Number(formatEther(received ?? expectedOut));
         
         return {
           success: true,
           hash,
           platform: 'Four.meme',
-          bnbReceived
+          bnbReceived,
+          expectedOut: expectedOut.toString(),
+          minOut: minBNBOut.toString()
         };
       }
 
       return { success: false, error: 'Transaction failed' };
     } catch (error) {
       console.error(chalk.red('❌ Four.meme sell failed:'), error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason };
     }
   }
 
@@ -613,78 +1180,64 @@ export class BSCTokenBuyer {
     try {
       console.log(chalk.blue('🥞 Attempting PancakeSwap sell...'));
       
-      // Approve token spending first
-      const approveTx = await this.walletClient.sendTransaction({
-        to: tokenAddress,
-        data: encodeFunctionData({
-          abi: ERC20_ABI,
-          functionName: 'approve',
-          args: [this.PANCAKE_ROUTER, BigInt(tokenAmount)]
-        })
-      });
-
-      await this.publicClient.waitForTransactionReceipt({
-        hash: approveTx,
-        confirmations: 1
-      });
-
-      // Set up swap parameters
-      const amountOutMin = 0n; // Accept any amount (use slippage in production)
+      // Set up swap parameters from a fresh quote
       const path = [tokenAddress, this.WBNB];
+      const expectedOut = await this.getPancakeQuote(BigInt(tokenAmount), path);
+      const amountOutMin = this.slippage.minOutput(expectedOut, 'pancakeswap');
+
+      // Approve only once there is a route (skipped when the allowance already covers it)
+      await this.ensureAllowance(tokenAddress, this.PANCAKE_ROUTER, BigInt(tokenAmount));
       const to = this.account.address;
       const deadline = BigInt(Math.floor(Date.now() / 1000) + 60 * 20); // 20 minutes
 
-      // Encode swap function
+      // Fee-on-transfer safe variant: checks the BNB actually received instead of the path amounts
       const data = encodeFunctionData({
         abi: PANCAKE_ROUTER_ABI,
-        functionName: 'swapExactTokensForETH',
+        functionName: 'swapExactTokensForETHSupportingFeeOnTransferTokens',
         args: [BigInt(tokenAmount), amountOutMin, path, to, deadline]
       });
 
-      // Estimate gas
-      const gasEstimate = await this.publicClient.estimateGas({
-        account: this.account.address,
-        to: this.PANCAKE_ROUTER,
-        data
-      });
 
       // Send transaction
-      const hash = await this.walletClient.sendTransaction({
+      const hash = await this.sendTransaction({
         to: this.PANCAKE_ROUTER,
-        data,
-        gas: gasEstimate * 120n / 100n // Add 20% buffer
+        data
       });
 
       // Wait for confirmation
-      const receipt = await this.publicClient.waitForTransactionReceipt({
-        hash,
-        confirmations: 2
-      });
+      const receipt = await this.waitForReceipt(hash);
 
       if (receipt.status === 'success') {
-        // Calculate BNB received from transaction logs (simplified)
-        const bnbReceived = 0.001; // Mock value - in practice, parse logs
+        this.consumeAllowance(tokenAddress, this.PANCAKE_ROUTER, BigInt(tokenAmount));
+        
+        const received = this.getUnwrappedBNB(receipt) ?? await this.getNativeReceived(receipt);
+        if (received === null) {
+          console.log(chalk.yellow('⚠️  Could not isolate the BNB received, using the quoted output'));
+        }
+        const bnbReceived = Number(formatEther(received ?? expectedOut));
         
         return {
           success: true,
           hash,
           platform: 'PancakeSwap',
-          bnbReceived
+          bnbReceived,
+          expectedOut: expectedOut.toString(),
+          minOut: amountOutMin.toString()
         };
       }
 
       return { success: false, error: 'Transaction failed' };
     } catch (error) {
       console.error(chalk.red('❌ PancakeSwap sell failed:'), error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason };
     }
   }
 
-  // 알려진 토큰 목록 반환 (실제로는 동적으로 가져와야 함)
-  getKnownTokens() {
-    // 예시 토큰들 - 실제 구현에서는 BSC Scan API나 다른 방법으로 토큰 목록을 가져와야 합니다
-    return [
-      // 여기에 구매한 토큰 주소들이 동적으로 추가되어야 함
-    ];
+  // 보유 가능성이 있는 토큰 목록 (구매 기록 + Transfer 로그 스캔, 로컬 캐시)
+  async getKnownTokens() {
+    if (this.dryRun) {
+      return this.paperWallet.getHoldings().map(([tokenAddress]) => tokenAddress);
+    }
+    return await this.holdings.scan();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,59 @@
+import { createPublicClient, fallback, http } from 'viem';
+import { bsc } from 'viem/chains';
+import { SolanaRpcPool } from './solanaRpcPool.js';
+
+/**
+ * One Solana RPC pool and one BSC public client per process, shared by the
+ * buyers, the rug checker and the profit tracker so everything goes through the
+ * configured RPC endpoints. With several URLs per chain, reads fail over to the
+ * next endpoint on errors/timeouts and endpoints are ranked by periodic health
+ * checks. BSC reads issued in the same tick are batched into a single multicall.
+ */
+export function createChainClients({
+  solanaRpcUrls,
+  solanaRpcUrl,
+  bscRpcUrls,
+  bscRpcUrl,
+  rpcTimeoutMs = 10000,
+  rpcHealthCheckMs = 30000,
+  broadcastAllRpcs = false
+}) {
+  const solanaUrls = solanaRpcUrls?.length ? solanaRpcUrls : [solanaRpcUrl];
+  const bscUrls = bscRpcUrls?.length ? bscRpcUrls : [bscRpcUrl];
+
+  const solanaRpc = new SolanaRpcPool(solanaUrls, {
+    timeoutMs: rpcTimeoutMs,
+    healthCheckMs: rpcHealthCheckMs,
+    broadcast: broadcastAllRpcs
+  });
+
+  const bscTransport = bscUrls.length > 1
+    ? fallback(bscUrls.map(url => http(url, { timeout: rpcTimeoutMs })), {
+        rank: rpcHealthCheckMs > 0 ? { interval: rpcHealthCheckMs } : false
+      })
+    : http(bscUrls[0], { timeout: rpcTimeoutMs });
+
+  // One client per endpoint so a signed transaction can be pushed to all of them
+  const bscBroadcastClients = broadcastAllRpcs && bscUrls.length > 1
+    ? bscUrls.map(url => createPublicClient({ chain: bsc, transport: http(url, { timeout: rpcTimeoutMs }) }))
+    : [];
+
+  return {
+    solanaRpc,
+    solanaConnection: solanaRpc.connection,
+    bscTransport,
+    bscBroadcastClients,
+    bscPublicClient: createPublicClient({
+      chain: bsc,
+      transport: bscTransport,
+      batch: { multicall: true }
+    })
+  };
+}
+
+// RPC and quote APIs signal rate limiting with HTTP 429 (web3.js and viem surface it in the message)
+export function isRateLimitError(error) {
+  if (!error) return false;
+  if (error.status === 429 || error.code === 429) return true;
+  return /429|too many requests|rate limit/i.test(error.message || '');
+}
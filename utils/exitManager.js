@@ -0,0 +1,146 @@
+import chalk from 'chalk';
+
+// Wait before retrying an exit whose sell failed, so a stuck sell doesn't fire every tick
+const RETRY_DELAY_MS = 30000;
+// Price-based exits skip a valuation older than this many tracker ticks (with a floor
+// for fast tick rates), so failing price reads don't trigger sells on an old value
+const STALE_PRICE_TICKS = 3;
+const MIN_STALE_PRICE_MS = 10000;
+// The trailing-stop peak is persisted when the stop arms, then only once it has risen
+// this fraction above the last saved peak, so a climbing price isn't a write per tick
+const PEAK_PERSIST_STEP = 0.05;
+
+export const DEFAULT_EXIT_RULES = {
+  // [{ multiple, percent }]: sell `percent` of the remaining position once value reaches `multiple` x cost
+  takeProfit: [],
+  // Sell everything once the position is down this many percent (null = off)
+  stopLossPercent: null,
+  // Sell everything once value falls this many percent from its peak (null = off)
+  trailingStopPercent: null,
+  // Trailing stop only arms after the position has been this far in profit
+  trailingActivationPercent: 0,
+  // Sell everything after holding this long (null = off)
+  maxHoldMinutes: null
+};
+
+/**
+ * Watches tracked positions and fires sells when an exit rule triggers.
+ * Each position carries its own rules (snapshotted at purchase) and an exitState
+ * with the peak multiple seen and the take-profit steps already taken.
+ */
+export class ExitManager {
+  constructor(defaultRules = {}, sellPosition, options = {}) {
+    this.defaultRules = { ...DEFAULT_EXIT_RULES, ...defaultRules };
+    this.sellPosition = sellPosition;
+    this.store = options.store || null;
+    // Positions with an exit sell in flight, and when failed exits may retry
+    this.pending = new Set();
+    this.retryAfter = new Map();
+    // Peak multiple last written to the store, per position
+    this.persistedPeak = new Map();
+  }
+
+  rulesFor(overrides = {}) {
+    return { ...this.defaultRules, ...overrides };
+  }
+
+  // First matching rule for a position, or null. Stop-type exits win over take-profit.
+  evaluate(position, now = Date.now(), maxPriceAgeMs = Infinity) {
+    const rules = position.exitRules || this.defaultRules;
+    const state = position.exitState || (position.exitState = { peakMultiple: 0, takeProfitHit: [] });
+    const heldMinutes = (now - new Date(position.purchaseTime).getTime()) / 60000;
+
+    if (rules.maxHoldMinutes != null && heldMinutes >= rules.maxHoldMinutes) {
+      return { rule: 'max-hold', percent: 100, reason: `Held ${heldMinutes.toFixed(1)} min (max ${rules.maxHoldMinutes} min)` };
+    }
+
+    // Price-based rules need a fresh valuation
+    if (!position.lastPriceAt || !(position.amount > 0)) return null;
+    if (now - position.lastPriceAt > maxPriceAgeMs) return null;
+
+    const multiple = position.currentValue / position.amount;
+    state.peakMultiple = Math.max(state.peakMultiple, multiple);
+    const pnlPercent = (multiple - 1) * 100;
+
+    if (rules.stopLossPercent != null && pnlPercent <= -rules.stopLossPercent) {
+      return { rule: 'stop-loss', percent: 100, reason: `P&L ${pnlPercent.toFixed(2)}% hit stop-loss -${rules.stopLossPercent}%` };
+    }
+
+    if (rules.trailingStopPercent != null && (state.peakMultiple - 1) * 100 >= rules.trailingActivationPercent) {
+      const drawdown = (1 - multiple / state.peakMultiple) * 100;
+      if (drawdown >= rules.trailingStopPercent) {
+        return {
+          rule: 'trailing-stop',
+          percent: 100,
+          reason: `Down ${drawdown.toFixed(2)}% from peak ${state.peakMultiple.toFixed(2)}x (trailing ${rules.trailingStopPercent}%)`
+        };
+      }
+    }
+
+    const step = (rules.takeProfit || [])
+      .map((level, index) => ({ ...level, index }))
+      .find(level => !state.takeProfitHit.includes(level.index) && multiple >= level.multiple);
+    if (step) {
+      return {
+        rule: 'take-profit',
+        percent: step.percent,
+        step: step.index,
+        reason: `Value ${multiple.toFixed(2)}x reached take-profit ${step.multiple}x`
+      };
+    }
+
+    return null;
+  }
+
+  // The trailing stop needs its peak after a restart too, but not every small rise of it
+  persistPeak(position) {
+    const rules = position.exitRules || this.defaultRules;
+    if (rules.trailingStopPercent == null) return;
+
+    const peak = position.exitState.peakMultiple;
+    const saved = this.persistedPeak.get(position.id) ?? 0;
+    // Before the stop arms the peak isn't used, so there is nothing worth keeping
+    const isArmed = multiple => (multiple - 1) * 100 >= rules.trailingActivationPercent;
+    if (!isArmed(peak)) return;
+    if (isArmed(saved) && peak < saved * (1 + PEAK_PERSIST_STEP)) return;
+
+    this.persistedPeak.set(position.id, peak);
+    this.store?.recordPositionUpdate(position.id, { exitState: position.exitState });
+  }
+
+  // `refreshMs` is the tracker's current tick interval, used to judge price staleness
+  async check(positions, { refreshMs } = {}) {
+    const maxPriceAgeMs = refreshMs ? Math.max(refreshMs * STALE_PRICE_TICKS, MIN_STALE_PRICE_MS) : Infinity;
+
+    const ids = new Set(positions.map(position => position.id));
+    for (const id of this.persistedPeak.keys()) if (!ids.has(id)) this.persistedPeak.delete(id);
+
+    for (const position of [...positions]) {
+      if (this.pending.has(position.id) || (this.retryAfter.get(position.id) ?? 0) > Date.now()) continue;
+
+      // A restored peak is already in the store
+      if (!this.persistedPeak.has(position.id)) this.persistedPeak.set(position.id, position.exitState?.peakMultiple ?? 0);
+      const exit = this.evaluate(position, Date.now(), maxPriceAgeMs);
+      this.persistPeak(position);
+      if (!exit) continue;
+
+      this.pending.add(position.id);
+      console.log(chalk.magenta(`🎯 Exit [${exit.rule}] for ${position.tokenAddress}: ${exit.reason} → selling ${exit.percent}%`));
+
+      try {
+        const sold = await this.sellPosition(position, exit.percent, `${exit.rule}: ${exit.reason}`);
+        if (!sold) {
+          this.retryAfter.set(position.id, Date.now() + RETRY_DELAY_MS);
+        } else if (exit.step !== undefined) {
+          position.exitState.takeProfitHit.push(exit.step);
+          this.store?.recordPositionUpdate(position.id, { exitState: position.exitState });
+        }
+      } catch (error) {
+        console.error(chalk.red(`❌ Exit sell failed for ${position.tokenAddress}:`), error.message);
+        this.retryAfter.set(position.id, Date.now() + RETRY_DELAY_MS);
+      } finally {
+        this.pending.delete(position.id);
+      }
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import chalk from 'chalk';
+
+// Simulated wallet used in dry-run mode: native balance plus raw token holdings
+export class PaperWallet {
+  constructor(symbol, startingBalance) {
+    this.symbol = symbol;
+    this.balance = startingBalance;
+    this.holdings = new Map();
+  }
+
+  getBalance() {
+    return this.balance;
+  }
+
+  getHolding(tokenAddress) {
+    return this.holdings.get(tokenAddress) || 0n;
+  }
+
+  getHoldings() {
+    return [...this.holdings.entries()].filter(([, amount]) => amount > 0n);
+  }
+
+  // Rebuild from a previous run: native balance from its paper fills (buys and sells,
+  // including closed positions), holdings from the positions still open
+  restore(fills, positions) {
+    for (const fill of fills) {
+      if (fill.side === 'buy') this.balance -= fill.nativeSpent ?? fill.amount ?? 0;
+      if (fill.side === 'sell') this.balance += fill.nativeReceived ?? 0;
+    }
+    for (const position of positions) {
+      this.holdings.set(position.tokenAddress, this.getHolding(position.tokenAddress) + BigInt(position.tokensReceived || 0));
+    }
+  }
+
+  recordBuy(tokenAddress, amountNative, tokensRaw) {
+    this.balance -= amountNative;
+    this.holdings.set(tokenAddress, this.getHolding(tokenAddress) + BigInt(tokensRaw));
+    console.log(chalk.magenta(`🧪 [PAPER] Bought ${tokensRaw} units of ${tokenAddress} for ${amountNative} ${this.symbol}`));
+  }
+
+  recordSell(tokenAddress, tokensRaw, nativeReceived) {
+    const remaining = this.getHolding(tokenAddress) - BigInt(tokensRaw);
+    this.holdings.set(tokenAddress, remaining > 0n ? remaining : 0n);
+    this.balance += nativeReceived;
+    console.log(chalk.magenta(`🧪 [PAPER] Sold ${tokensRaw} units of ${tokenAddress} for ${nativeReceived.toFixed(6)} ${this.symbol}`));
+  }
+}
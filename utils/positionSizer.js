@@ -0,0 +1,96 @@
+// Smallest unit we size in; keeps amounts out of exponent notation for parseEther/BN
+const AMOUNT_PRECISION = 1e6;
+
+/**
+ * Built-in sizing strategies. Each receives the sizer settings, the wallet balance
+ * available after the reserve, and the per-tweet context, and returns a raw amount
+ * before the max/reserve caps are applied.
+ */
+const STRATEGIES = {
+  // Always spend the same amount
+  fixed: (settings) => settings.fixedAmount,
+
+  // Spend a percentage of the spendable balance
+  percent: (settings, spendable) => spendable * (settings.percentOfBalance / 100),
+
+  // Scale the maximum buy by how confident we are in the tweet (0..1)
+  confidence: (settings, spendable, context) => {
+    const confidence = Math.min(Math.max(context.confidence ?? 0, 0), 1);
+    return settings.maxAmount * confidence;
+  }
+};
+
+export class PositionSizer {
+  constructor({
+    strategy = 'fixed',
+    symbol = 'SOL',
+    maxAmount,
+    minAmount = 0,
+    reserve = 0,
+    fixedAmount = 0,
+    percentOfBalance = 0
+  } = {}) {
+    if (!STRATEGIES[strategy]) {
+      throw new Error(`Unknown position sizing strategy: ${strategy}`);
+    }
+
+    this.strategy = strategy;
+    this.symbol = symbol;
+    this.settings = {
+      maxAmount: maxAmount ?? Infinity,
+      minAmount,
+      reserve,
+      fixedAmount,
+      percentOfBalance
+    };
+  }
+
+  /**
+   * Register a custom sizing strategy usable by any sizer
+   */
+  static registerStrategy(name, strategyFn) {
+    STRATEGIES[name] = strategyFn;
+  }
+
+  static get strategies() {
+    return Object.keys(STRATEGIES);
+  }
+
+  /**
+   * Compute how much to spend on a buy.
+   * Returns { amount, reason } where amount is 0 when the buy should be skipped.
+   */
+  getBuyAmount(balance, context = {}) {
+    const { maxAmount, minAmount, reserve } = this.settings;
+    const spendable = Math.max(balance - reserve, 0);
+
+    if (spendable <= 0) {
+      return {
+        amount: 0,
+        reason: `Balance ${balance.toFixed(4)} ${this.symbol} does not cover reserve of ${reserve} ${this.symbol}`
+      };
+    }
+
+    // A per-target buy size overrides the strategy but is still capped below
+    const rawAmount = context.buyAmount ?? STRATEGIES[this.strategy](this.settings, spendable, context);
+    // Safety checks can shrink a position (e.g. 0.5 for a flagged token)
+    const capped = Math.min(rawAmount * (context.sizeMultiplier ?? 1), maxAmount, spendable);
+    const amount = Math.floor(capped * AMOUNT_PRECISION) / AMOUNT_PRECISION;
+
+    if (!(amount > 0) || amount < minAmount) {
+      return {
+        amount: 0,
+        reason: `Sized amount ${amount} ${this.symbol} is below minimum of ${minAmount} ${this.symbol}`
+      };
+    }
+
+    let source = context.buyAmount != null ? 'per-target amount' : `${this.strategy} strategy`;
+    if (context.sizeMultiplier != null && context.sizeMultiplier !== 1) {
+      source += ` x${context.sizeMultiplier}`;
+    }
+    return {
+      amount,
+      reason: `${source} (max ${maxAmount} ${this.symbol}, reserve ${reserve} ${this.symbol})`
+    };
+  }
+}
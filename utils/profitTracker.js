@@ -1,34 +1,68 @@
-import { Connection, PublicKey } from '@solana/web3.js';
-import { createWalletClient, createPublicClient, http, formatEther } from 'viem';
-import { bsc } from 'viem/chains';
+import { randomUUID } from 'crypto';
 import chalk from 'chalk';
+import { createChainClients, isRateLimitError } from './chainClients.js';
+import { BSCPriceFeed } from './bscPriceFeed.js';
+import { SolanaPriceFeed, toRawAmount } from './solanaPriceFeed.js';
+import { UsdPriceFeed } from './usdPrices.js';
 
 export class ProfitTracker {
-  constructor() {
+  constructor(options = {}) {
     // Store purchased tokens and their purchase info
     this.purchasedTokens = [];
+    // Optional StateStore so positions survive restarts
+    this.store = options.store || null;
+    // Optional ExitManager checked after every price update
+    this.exitManager = options.exitManager || null;
     this.isTracking = false;
-    this.trackingInterval = null;
+    this.trackingTimer = null;
     
-    // Solana connection
-    this.solanaConnection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
+    // Refresh interval backs off (doubling, up to maxRefreshMs) while RPCs or Jupiter
+    // rate-limit us, and recovers after a run of clean ticks
+    this.baseRefreshMs = options.refreshMs || 1000;
+    this.maxRefreshMs = options.maxRefreshMs || 30000;
+    this.refreshMs = this.baseRefreshMs;
+    this.rateLimitHits = 0;
+    this.cleanTicks = 0;
     
-    // BSC connection
-    this.bscPublicClient = createPublicClient({
-      chain: bsc,
-      transport: http('https://bsc-dataseed.binance.org/')
-    });
+    // Chain clients shared with the buyers (public endpoints only when none are passed in)
+    const clients = options.solanaConnection && options.bscPublicClient
+      ? options
+      : createChainClients({
+          solanaRpcUrl: 'https://api.mainnet-beta.solana.com',
+          bscRpcUrl: 'https://bsc-dataseed.binance.org/'
+        });
+    this.solanaConnection = options.solanaConnection || clients.solanaConnection;
+    this.bscPublicClient = options.bscPublicClient || clients.bscPublicClient;
     
     // Jupiter API for price data
     this.JUPITER_API_URL = 'https://quote-api.jup.ag/v6';
     this.SOL_MINT = 'So11111111111111111111111111111111111111112';
+    this.solanaPriceFeed = new SolanaPriceFeed(this.solanaConnection, {
+      jupiterApiUrl: this.JUPITER_API_URL,
+      onRateLimit: () => this.rateLimitHits++
+    });
     this.WBNB_ADDRESS = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+    this.PANCAKE_FACTORY = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350C73';
+    this.FOUR_MEME_EXCHANGE = '0x5c952063c7fc8610FFDB798152D69F0B9550762b';
+
+    // On-chain BSC prices from Four.meme curves and PancakeSwap V2 pairs
+    this.bscPriceFeed = new BSCPriceFeed(this.bscPublicClient, {
+      pancakeFactory: this.PANCAKE_FACTORY,
+      wbnb: this.WBNB_ADDRESS,
+      fourMemeExchange: this.FOUR_MEME_EXCHANGE
+    });
+
+    // SOL/USD and BNB/USD for the USD view of every position
+    this.usdPrices = new UsdPriceFeed(this.solanaConnection, this.bscPublicClient, { bscPriceFeed: this.bscPriceFeed });
   }
 
   addPurchase(tokenInfo) {
     const purchase = {
-      id: Date.now(),
+      // Unique even when several buys from one tweet land in the same millisecond
+      id: randomUUID(),
       ...tokenInfo,
+      // Raw units as a string; quotes may hand us BN or bigint
+      tokensReceived: tokenInfo.tokensReceived != null ? toRawAmount(tokenInfo.tokensReceived).toString() : null,
       purchaseTime: new Date(),
       currentValue: 0,
       profitLoss: 0,
@@ -36,7 +70,8 @@ export class ProfitTracker {
     };
     
     this.purchasedTokens.push(purchase);
-    console.log(chalk.green(`📊 Added ${purchase.chain} token to tracking: ${purchase.tokenAddress}`));
+    this.store?.recordPurchase(purchase);
+    console.log(chalk.green(`📊 Added ${purchase.chain} ${purchase.simulated ? 'paper ' : ''}token to tracking: ${purchase.tokenAddress}`));
     
     // Start tracking if not already started
     if (!this.isTracking) {
@@ -46,61 +81,198 @@ export class ProfitTracker {
     return purchase;
   }
 
-  async getSolanaTokenPrice(tokenAddress, baseAmount = 100000000) { // 0.1 SOL in lamports
+  // Reload positions persisted by a previous run
+  restorePurchases(purchases) {
+    if (purchases.length === 0) return;
+    
+    for (const purchase of purchases) {
+      this.purchasedTokens.push({
+        ...purchase,
+        purchaseTime: new Date(purchase.purchaseTime)
+      });
+    }
+    console.log(chalk.green(`📊 Restored ${purchases.length} tracked position(s)`));
+    
+    if (!this.isTracking) {
+      this.startTracking();
+    }
+  }
+
+  // Stop tracking positions matching predicate and persist the sell
+  closePositions(predicate, sellInfo = {}) {
+    const closed = this.purchasedTokens.filter(predicate);
+    if (closed.length === 0) return closed;
+    
+    this.purchasedTokens = this.purchasedTokens.filter(purchase => !predicate(purchase));
+    this.store?.recordSell({
+      ...sellInfo,
+      purchaseIds: closed.map(purchase => purchase.id)
+    });
+    return closed;
+  }
+
+  /**
+   * Apply a partial or full sell of one position. The sold position shrinks by the
+   * tokens that left the wallet, then every position in that token is clamped to the
+   * balance actually remaining; cost basis shrinks in proportion. Emptied positions close.
+   */
+  applySell(purchaseId, soldRaw, remainingRaw, sellInfo = {}) {
+    const position = this.purchasedTokens.find(purchase => purchase.id === purchaseId);
+    if (!position) return;
+    
+    const tokensOf = purchase => BigInt(String(purchase.tokensReceived ?? 0));
+    const resize = (purchase, newTokens) => {
+      const oldTokens = tokensOf(purchase);
+      if (newTokens === oldTokens) return;
+      const ratio = oldTokens > 0n ? Number(newTokens * 1000000n / oldTokens) / 1000000 : 0;
+      purchase.amount *= ratio;
+      purchase.tokensReceived = newTokens.toString();
+    };
+    
+    const sold = BigInt(soldRaw);
+    resize(position, tokensOf(position) > sold ? tokensOf(position) - sold : 0n);
+    
+    const sameToken = this.purchasedTokens.filter(purchase =>
+      purchase.chain === position.chain && purchase.tokenAddress === position.tokenAddress);
+    const tracked = sameToken.reduce((sum, purchase) => sum + tokensOf(purchase), 0n);
+    const remaining = BigInt(remainingRaw);
+    if (tracked > remaining) {
+      sameToken.forEach(purchase => resize(purchase, tokensOf(purchase) * remaining / tracked));
+    }
+    
+    this.closePositions(purchase => sameToken.includes(purchase) && tokensOf(purchase) === 0n, sellInfo);
+    for (const purchase of sameToken.filter(p => tokensOf(p) > 0n)) {
+      this.store?.recordPositionUpdate(purchase.id, { amount: purchase.amount, tokensReceived: purchase.tokensReceived });
+    }
+  }
+
+  // Returns { valueSOL, price (SOL per whole token), venue, decimals } or null
+  async getSolanaPositionValue(tokenAddress, tokensReceived) {
     try {
-      const response = await fetch(
-        `${this.JUPITER_API_URL}/quote?inputMint=${this.SOL_MINT}&outputMint=${tokenAddress}&amount=${baseAmount}&slippageBps=50`
-      );
-      
-      if (response.ok) {
-        const quote = await response.json();
-        // Price = input amount / output amount (in SOL per token)
-        const priceInSOL = (baseAmount / parseFloat(quote.outAmount)) * (baseAmount / 100000000);
-        return priceInSOL;
-      }
+      return await this.solanaPriceFeed.getValue(tokenAddress, tokensReceived);
     } catch (error) {
+      if (isRateLimitError(error)) this.rateLimitHits++;
       console.error(chalk.red(`Error getting Solana price for ${tokenAddress}:`), error.message);
     }
     return null;
   }
 
+  // Returns { price (BNB per whole token), venue, decimals } or null
   async getBSCTokenPrice(tokenAddress) {
     try {
-      // Use PancakeSwap factory to get pair info
-      // This is a simplified implementation - in production you'd want to use proper DEX APIs
-      const PANCAKE_FACTORY = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350C73';
-      
-      // For now, return a mock price since we don't have the full PancakeSwap integration
-      // In a real implementation, you'd query the pair reserves and calculate the price
-      return 0.001; // Mock price in BNB
+      return await this.bscPriceFeed.getPrice(tokenAddress);
     } catch (error) {
+      if (isRateLimitError(error)) this.rateLimitHits++;
       console.error(chalk.red(`Error getting BSC price for ${tokenAddress}:`), error.message);
     }
     return null;
   }
 
+  /**
+   * Reprice every position in one pass: BSC prices are read once per token and the
+   * reads go out together (one multicall), Solana mint decimals are fetched in one
+   * batch and the per-position sell quotes run concurrently.
+   */
   async updateProfitLoss() {
     if (this.purchasedTokens.length === 0) return;
 
+    // Without a token amount there is nothing to value
+    const positions = this.purchasedTokens.filter(purchase => purchase.tokensReceived != null);
+    const solanaPositions = positions.filter(purchase => purchase.chain === 'solana');
+    const bscTokens = [...new Set(
+      positions.filter(purchase => purchase.chain === 'bsc').map(purchase => purchase.tokenAddress.toLowerCase())
+    )];
+
+    const [, bscQuotes] = await Promise.all([
+      this.usdPrices.refresh(),
+      Promise.all(bscTokens.map(async token => [token, await this.getBSCTokenPrice(token)])).then(entries => new Map(entries)),
+      this.solanaPriceFeed.loadDecimals(solanaPositions.map(purchase => purchase.tokenAddress))
+        .catch(error => { if (isRateLimitError(error)) this.rateLimitHits++; })
+    ]);
+
+    // Value the whole Solana holding by a sell quote so price impact is included
+    await Promise.all(solanaPositions.map(async purchase => {
+      const quote = await this.getSolanaPositionValue(purchase.tokenAddress, purchase.tokensReceived);
+      if (quote) this.applyValuation(purchase, quote.valueSOL, quote);
+    }));
+
+    for (const purchase of positions.filter(position => position.chain === 'bsc')) {
+      const quote = bscQuotes.get(purchase.tokenAddress.toLowerCase());
+      if (!quote) continue;
+      // tokensReceived is in raw units
+      const tokens = Number(toRawAmount(purchase.tokensReceived)) / 10 ** quote.decimals;
+      this.applyValuation(purchase, tokens * quote.price, quote);
+    }
+  }
+
+  applyValuation(purchase, currentValue, quote) {
+    purchase.currentPrice = quote.price;
+    purchase.priceVenue = quote.venue;
+    purchase.currentValue = currentValue;
+    purchase.lastPriceAt = Date.now();
+    
+    // Calculate profit/loss
+    purchase.profitLoss = purchase.currentValue - purchase.amount;
+    purchase.profitPercentage = ((purchase.currentValue - purchase.amount) / purchase.amount) * 100;
+    purchase.currentValueUSD = this.usdPrices.toUsd(purchase.chain, purchase.currentValue);
+  }
+
+  /**
+   * Totals per chain in native units, plus USD totals across chains. Cost and
+   * value are both converted at the current SOL/BNB price, so USD P&L reflects
+   * token performance only. USD fields are null until that chain's price is known.
+   * Positions that haven't been priced yet are counted under `unpriced` and left out
+   * of both cost and value, so they don't show up as a -100% loss.
+   */
+  summarizePortfolio() {
+    const chains = {};
     for (const purchase of this.purchasedTokens) {
-      let currentPrice = null;
-      
-      if (purchase.chain === 'solana') {
-        currentPrice = await this.getSolanaTokenPrice(purchase.tokenAddress);
-      } else if (purchase.chain === 'bsc') {
-        currentPrice = await this.getBSCTokenPrice(purchase.tokenAddress);
+      const totals = chains[purchase.chain] || (chains[purchase.chain] = {
+        positions: 0,
+        invested: 0,
+        currentValue: 0,
+        unpriced: 0,
+        unpricedInvested: 0,
+        nativeUsd: this.usdPrices.prices[purchase.chain]
+      });
+      totals.positions++;
+      if (!purchase.lastPriceAt) {
+        totals.unpriced++;
+        totals.unpricedInvested += purchase.amount;
+        continue;
       }
-      
-      if (currentPrice) {
-        // Calculate current value based on tokens received and current price
-        const tokensReceived = parseFloat(purchase.tokensReceived || 0);
-        purchase.currentValue = tokensReceived * currentPrice;
-        
-        // Calculate profit/loss
-        purchase.profitLoss = purchase.currentValue - purchase.amount;
-        purchase.profitPercentage = ((purchase.currentValue - purchase.amount) / purchase.amount) * 100;
+      totals.invested += purchase.amount;
+      totals.currentValue += purchase.currentValue;
+    }
+
+    let investedUSD = 0;
+    let currentValueUSD = 0;
+    let usdComplete = true;
+    for (const totals of Object.values(chains)) {
+      totals.profitLoss = totals.currentValue - totals.invested;
+      totals.profitPercentage = totals.invested > 0 ? (totals.profitLoss / totals.invested) * 100 : 0;
+      totals.investedUSD = totals.nativeUsd ? totals.invested * totals.nativeUsd : null;
+      totals.currentValueUSD = totals.nativeUsd ? totals.currentValue * totals.nativeUsd : null;
+      totals.profitLossUSD = totals.nativeUsd ? totals.profitLoss * totals.nativeUsd : null;
+
+      if (totals.nativeUsd) {
+        investedUSD += totals.investedUSD;
+        currentValueUSD += totals.currentValueUSD;
+      } else {
+        usdComplete = false;
       }
     }
+
+    const usd = usdComplete
+      ? {
+          invested: investedUSD,
+          currentValue: currentValueUSD,
+          profitLoss: currentValueUSD - investedUSD,
+          profitPercentage: investedUSD > 0 ? ((currentValueUSD - investedUSD) / investedUSD) * 100 : 0
+        }
+      : null;
+
+    return { chains, usd };
   }
 
   displayProfitSummary() {
@@ -113,41 +285,63 @@ export class ProfitTracker {
     console.clear();
     console.log(chalk.bgCyan.black('  📊 PROFIT TRACKER - REAL TIME  '));
     console.log(chalk.cyan('━'.repeat(80)));
-    console.log(chalk.white(`Last Update: ${new Date().toLocaleTimeString()}`));
+    console.log(chalk.white(`Last Update: ${new Date().toLocaleTimeString()} (every ${this.refreshMs / 1000}s)`));
     console.log();
 
-    let totalInvested = 0;
-    let totalCurrentValue = 0;
+    const formatUsd = value => value === null ? '' : ` ($${value.toFixed(2)})`;
 
     this.purchasedTokens.forEach((purchase, index) => {
-      totalInvested += purchase.amount;
-      totalCurrentValue += purchase.currentValue;
-
       const profitColor = purchase.profitLoss >= 0 ? chalk.green : chalk.red;
       const profitSymbol = purchase.profitLoss >= 0 ? '📈' : '📉';
       
-      console.log(chalk.yellow(`${index + 1}. ${purchase.platform} (${purchase.chain.toUpperCase()})`));
+      console.log(chalk.yellow(`${index + 1}. ${purchase.platform} (${purchase.chain.toUpperCase()})${purchase.simulated ? ' [PAPER]' : ''}`));
       console.log(chalk.gray(`   Address: ${purchase.tokenAddress}`));
+      if (purchase.target) {
+        console.log(chalk.gray(`   Caller: @${purchase.target}`));
+      }
+      if (purchase.entryPrice) {
+        console.log(chalk.gray(`   Entry Price: ${purchase.entryPrice.toPrecision(6)} ${purchase.chain === 'solana' ? 'SOL' : 'BNB'}/token`));
+      }
       console.log(chalk.gray(`   Purchase: ${purchase.amount.toFixed(4)} ${purchase.chain === 'solana' ? 'SOL' : 'BNB'}`));
       console.log(chalk.gray(`   Time: ${purchase.purchaseTime.toLocaleString()}`));
-      console.log(chalk.white(`   Current: ${purchase.currentValue.toFixed(4)} ${purchase.chain === 'solana' ? 'SOL' : 'BNB'}`));
-      console.log(profitColor(`   ${profitSymbol} P&L: ${purchase.profitLoss.toFixed(4)} (${purchase.profitPercentage.toFixed(2)}%)`));
+      if (!purchase.lastPriceAt) {
+        console.log(chalk.gray('   Current: not priced yet'));
+        console.log();
+        return;
+      }
+      console.log(chalk.white(`   Current: ${purchase.currentValue.toFixed(4)} ${purchase.chain === 'solana' ? 'SOL' : 'BNB'}${formatUsd(this.usdPrices.toUsd(purchase.chain, purchase.currentValue))}`));
+      if (purchase.priceVenue) {
+        console.log(chalk.gray(`   Price: ${purchase.currentPrice.toPrecision(6)} ${purchase.chain === 'solana' ? 'SOL' : 'BNB'}/token via ${purchase.priceVenue}`));
+      }
+      console.log(profitColor(`   ${profitSymbol} P&L: ${purchase.profitLoss.toFixed(4)}${formatUsd(this.usdPrices.toUsd(purchase.chain, purchase.profitLoss))} (${purchase.profitPercentage.toFixed(2)}%)`));
       console.log();
     });
 
-    // Total summary
-    const totalProfitLoss = totalCurrentValue - totalInvested;
-    const totalProfitPercentage = ((totalCurrentValue - totalInvested) / totalInvested) * 100;
-    const totalProfitColor = totalProfitLoss >= 0 ? chalk.green : chalk.red;
-    const totalProfitSymbol = totalProfitLoss >= 0 ? '📈' : '📉';
+    // Total summary: per chain in native units, overall in USD
+    const { chains, usd } = this.summarizePortfolio();
 
     console.log(chalk.cyan('━'.repeat(80)));
     console.log(chalk.white.bold('TOTAL PORTFOLIO:'));
-    console.log(chalk.white(`Invested: ${totalInvested.toFixed(4)} (SOL + BNB)`));
-    console.log(chalk.white(`Current:  ${totalCurrentValue.toFixed(4)} (SOL + BNB)`));
-    console.log(totalProfitColor.bold(`${totalProfitSymbol} Total P&L: ${totalProfitLoss.toFixed(4)} (${totalProfitPercentage.toFixed(2)}%)`));
+    for (const [chain, totals] of Object.entries(chains)) {
+      const unit = chain === 'solana' ? 'SOL' : 'BNB';
+      const chainColor = totals.profitLoss >= 0 ? chalk.green : chalk.red;
+      console.log(chalk.white(`${chain.toUpperCase()}: Invested ${totals.invested.toFixed(4)} ${unit}${formatUsd(totals.investedUSD)} → Current ${totals.currentValue.toFixed(4)} ${unit}${formatUsd(totals.currentValueUSD)}`));
+      console.log(chainColor(`   P&L: ${totals.profitLoss.toFixed(4)} ${unit}${formatUsd(totals.profitLossUSD)} (${totals.profitPercentage.toFixed(2)}%)${totals.nativeUsd ? chalk.gray(` @ $${totals.nativeUsd.toFixed(2)}/${unit}`) : ''}`));
+      if (totals.unpriced > 0) {
+        console.log(chalk.gray(`   ${totals.unpriced} position(s) not priced yet (${totals.unpricedInvested.toFixed(4)} ${unit}), not included above`));
+      }
+    }
+    if (usd) {
+      const totalProfitColor = usd.profitLoss >= 0 ? chalk.green : chalk.red;
+      const totalProfitSymbol = usd.profitLoss >= 0 ? '📈' : '📉';
+      console.log(chalk.white(`Invested: $${usd.invested.toFixed(2)}`));
+      console.log(chalk.white(`Current:  $${usd.currentValue.toFixed(2)}`));
+      console.log(totalProfitColor.bold(`${totalProfitSymbol} Total P&L: $${usd.profitLoss.toFixed(2)} (${usd.profitPercentage.toFixed(2)}%)`));
+    } else {
+      console.log(chalk.gray('USD totals unavailable until SOL/BNB prices load'));
+    }
     console.log(chalk.cyan('━'.repeat(80)));
-    console.log(chalk.gray('Press Ctrl+C to stop tracking'));
+    console.log(chalk.gray('Type "<#> [25|50|100]" + Enter to sell a position, "l" for the last buy, Ctrl+C to stop'));
     console.log();
   }
 
@@ -156,18 +350,46 @@ export class ProfitTracker {
     
     this.isTracking = true;
     console.log(chalk.green('🚀 Started real-time profit tracking'));
+    this.scheduleTick();
+  }
+
+  // Ticks are chained rather than on an interval so a slow tick never overlaps the next
+  scheduleTick() {
+    this.trackingTimer = setTimeout(async () => {
+      this.rateLimitHits = 0;
+      try {
+        await this.updateProfitLoss();
+        this.displayProfitSummary();
+        await this.exitManager?.check(this.purchasedTokens, { refreshMs: this.refreshMs });
+      } catch (error) {
+        console.error(chalk.red('❌ Profit tracking update failed:'), error.message);
+      }
+      this.adjustRefreshRate();
+      if (this.isTracking) this.scheduleTick();
+    }, this.refreshMs);
+  }
+
+  adjustRefreshRate() {
+    if (this.rateLimitHits > 0) {
+      this.cleanTicks = 0;
+      const slower = Math.min(this.refreshMs * 2, this.maxRefreshMs);
+      if (slower !== this.refreshMs) {
+        this.refreshMs = slower;
+        console.log(chalk.yellow(`⏳ Rate limited (${this.rateLimitHits} hit(s)), refreshing every ${this.refreshMs / 1000}s`));
+      }
+      return;
+    }
     
-    // Update every second
-    this.trackingInterval = setInterval(async () => {
-      await this.updateProfitLoss();
-      this.displayProfitSummary();
-    }, 1000);
+    if (this.refreshMs > this.baseRefreshMs && ++this.cleanTicks >= 10) {
+      this.cleanTicks = 0;
+      this.refreshMs = Math.max(this.baseRefreshMs, Math.floor(this.refreshMs / 2));
+    }
   }
 
   stopTracking() {
-    if (this.trackingInterval) {
-      clearInterval(this.trackingInterval);
-      this.trackingInterval = null;
+    if (this.trackingTimer) {
+      clearTimeout(this.trackingTimer);
+      this.trackingTimer = null;
     }
     this.isTracking = false;
     console.log(chalk.yellow('📊 Stopped profit tracking'));
@@ -177,18 +399,17 @@ export class ProfitTracker {
   getPortfolioSummary() {
     if (this.purchasedTokens.length === 0) return null;
 
-    const totalInvested = this.purchasedTokens.reduce((sum, p) => sum + p.amount, 0);
-    const totalCurrentValue = this.purchasedTokens.reduce((sum, p) => sum + p.currentValue, 0);
-    const totalProfitLoss = totalCurrentValue - totalInvested;
-    const totalProfitPercentage = ((totalCurrentValue - totalInvested) / totalInvested) * 100;
+    const { chains, usd } = this.summarizePortfolio();
 
     return {
       totalTokens: this.purchasedTokens.length,
-      totalInvested,
-      totalCurrentValue,
-      totalProfitLoss,
-      totalProfitPercentage,
+      chains,
+      totalInvestedUSD: usd?.invested ?? null,
+      totalCurrentValueUSD: usd?.currentValue ?? null,
+      totalProfitLossUSD: usd?.profitLoss ?? null,
+      totalProfitPercentage: usd?.profitPercentage ?? null,
+      usdPrices: { SOL: this.usdPrices.prices.solana, BNB: this.usdPrices.prices.bsc },
       lastUpdate: new Date().toISOString()
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,146 @@
+import { PublicKey, SystemProgram, TransactionInstruction } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+
+// Pump.fun bonding curve program and its fixed accounts
+export const PUMP_FUN_PROGRAM = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+export const PUMP_FUN_GLOBAL = new PublicKey('4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf');
+export const PUMP_FUN_FEE_RECIPIENT = new PublicKey('CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM');
+export const PUMP_FUN_EVENT_AUTHORITY = new PublicKey('Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1');
+
+// Protocol + creator fee taken on the SOL side of every trade
+export const PUMP_FUN_FEE_BPS = 125n;
+// Every Pump.fun mint is created with 6 decimals
+export const PUMP_FUN_TOKEN_DECIMALS = 6;
+
+// Anchor instruction discriminators
+const BUY_DISCRIMINATOR = Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]);
+const SELL_DISCRIMINATOR = Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]);
+
+export function getBondingCurveAddress(mint) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+    PUMP_FUN_PROGRAM
+  )[0];
+}
+
+export function getCreatorVaultAddress(creator) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('creator-vault'), creator.toBuffer()],
+    PUMP_FUN_PROGRAM
+  )[0];
+}
+
+/**
+ * Decode a bonding curve account:
+ * discriminator(8) | virtualTokenReserves | virtualSolReserves | realTokenReserves |
+ * realSolReserves | tokenTotalSupply (u64 each) | complete (bool) | creator (pubkey)
+ */
+export function decodeBondingCurve(data) {
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    realTokenReserves: data.readBigUInt64LE(24),
+    realSolReserves: data.readBigUInt64LE(32),
+    tokenTotalSupply: data.readBigUInt64LE(40),
+    complete: data[48] === 1,
+    creator: data.length >= 81 ? new PublicKey(data.subarray(49, 81)) : null
+  };
+}
+
+/**
+ * Load the bonding curve for a mint. Returns null if the mint was never on Pump.fun.
+ */
+export async function fetchBondingCurve(connection, mint) {
+  const address = getBondingCurveAddress(mint);
+  const account = await connection.getAccountInfo(address);
+  if (!account) return null;
+  return { address, ...decodeBondingCurve(account.data) };
+}
+
+// Spot price in SOL per whole token from the virtual reserves
+export function getCurvePrice(curve) {
+  if (curve.virtualTokenReserves === 0n) return 0;
+  const sol = Number(curve.virtualSolReserves) / 1e9;
+  const tokens = Number(curve.virtualTokenReserves) / 10 ** PUMP_FUN_TOKEN_DECIMALS;
+  return sol / tokens;
+}
+
+// Tokens received for a SOL amount (lamports, fee included), capped by what is left on the curve
+export function quoteBuy(curve, lamportsIn) {
+  const solAfterFee = lamportsIn * 10000n / (10000n + PUMP_FUN_FEE_BPS);
+  const tokensOut = curve.virtualTokenReserves * solAfterFee / (curve.virtualSolReserves + solAfterFee);
+  return tokensOut < curve.realTokenReserves ? tokensOut : curve.realTokenReserves;
+}
+
+// Lamports received for selling a token amount, after fees
+export function quoteSell(curve, tokensIn) {
+  const solOut = curve.virtualSolReserves * tokensIn / (curve.virtualTokenReserves + tokensIn);
+  return solOut * (10000n - PUMP_FUN_FEE_BPS) / 10000n;
+}
+
+function encodeArgs(discriminator, first, second) {
+  const data = Buffer.alloc(24);
+  discriminator.copy(data, 0);
+  data.writeBigUInt64LE(first, 8);
+  data.writeBigUInt64LE(second, 16);
+  return data;
+}
+
+function curveAccounts(curve, mint, user, tokenProgram) {
+  if (!curve.creator) {
+    throw new Error('Bonding curve account has no creator (outdated layout)');
+  }
+  const mintKey = new PublicKey(mint);
+  return {
+    mint: mintKey,
+    associatedBondingCurve: getAssociatedTokenAddressSync(mintKey, curve.address, true, tokenProgram),
+    associatedUser: getAssociatedTokenAddressSync(mintKey, user, false, tokenProgram),
+    creatorVault: getCreatorVaultAddress(curve.creator)
+  };
+}
+
+// Buy exactly tokenAmount, spending at most maxSolCost lamports
+export function createBuyInstruction({ curve, mint, user, tokenProgram, tokenAmount, maxSolCost }) {
+  const accounts = curveAccounts(curve, mint, user, tokenProgram);
+  return new TransactionInstruction({
+    programId: PUMP_FUN_PROGRAM,
+    keys: [
+      { pubkey: PUMP_FUN_GLOBAL, isSigner: false, isWritable: false },
+      { pubkey: PUMP_FUN_FEE_RECIPIENT, isSigner: false, isWritable: true },
+      { pubkey: accounts.mint, isSigner: false, isWritable: false },
+      { pubkey: curve.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.associatedBondingCurve, isSigner: false, isWritable: true },
+      { pubkey: accounts.associatedUser, isSigner: false, isWritable: true },
+      { pubkey: user, isSigner: true, isWritable: true },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: tokenProgram, isSigner: false, isWritable: false },
+      { pubkey: accounts.creatorVault, isSigner: false, isWritable: true },
+      { pubkey: PUMP_FUN_EVENT_AUTHORITY, isSigner: false, isWritable: false },
+      { pubkey: PUMP_FUN_PROGRAM, isSigner: false, isWritable: false }
+    ],
+    data: encodeArgs(BUY_DISCRIMINATOR, tokenAmount, maxSolCost)
+  });
+}
+
+// Sell tokenAmount, receiving at least minSolOutput lamports
+export function createSellInstruction({ curve, mint, user, tokenProgram, tokenAmount, minSolOutput }) {
+  const accounts = curveAccounts(curve, mint, user, tokenProgram);
+  return new TransactionInstruction({
+    programId: PUMP_FUN_PROGRAM,
+    keys: [
+      { pubkey: PUMP_FUN_GLOBAL, isSigner: false, isWritable: false },
+      { pubkey: PUMP_FUN_FEE_RECIPIENT, isSigner: false, isWritable: true },
+      { pubkey: accounts.mint, isSigner: false, isWritable: false },
+      { pubkey: curve.address, isSigner: false, isWritable: true },
+      { pubkey: accounts.associatedBondingCurve, isSigner: false, isWritable: true },
+      { pubkey: accounts.associatedUser, isSigner: false, isWritable: true },
+      { pubkey: user, isSigner: true, isWritable: true },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: accounts.creatorVault, isSigner: false, isWritable: true },
+      { pubkey: tokenProgram, isSigner: false, isWritable: false },
+      { pubkey: PUMP_FUN_EVENT_AUTHORITY, isSigner: false, isWritable: false },
+      { pubkey: PUMP_FUN_PROGRAM, isSigner: false, isWritable: false }
+    ],
+    data: encodeArgs(SELL_DISCRIMINATOR, tokenAmount, minSolOutput)
+  });
+}
@@ -0,0 +1,328 @@
+import { PublicKey, SystemProgram, Transaction, TransactionInstruction } from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  NATIVE_MINT,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+  createCloseAccountInstruction
+} from '@solana/spl-token';
+import {
+  Liquidity,
+  Market,
+  LIQUIDITY_STATE_LAYOUT_V4,
+  MARKET_STATE_LAYOUT_V3,
+  SPL_ACCOUNT_LAYOUT,
+  MAINNET_PROGRAM_ID
+} from '@raydium-io/raydium-sdk';
+import pkg from '@coral-xyz/anchor';
+const { BN } = pkg;
+
+export const RAYDIUM_AMM_V4_PROGRAM = MAINNET_PROGRAM_ID.AmmV4;
+export const RAYDIUM_CPMM_PROGRAM = new PublicKey('CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C');
+const RAYDIUM_API_URL = 'https://api-v3.raydium.io';
+
+// CPMM swap_base_input Anchor discriminator and fee denominator
+const CPMM_SWAP_BASE_INPUT = Buffer.from([143, 190, 90, 218, 196, 30, 51, 222]);
+const CPMM_FEE_DENOMINATOR = 1000000n;
+
+const toBigInt = value => BigInt(value.toString());
+const vaultAmount = account => toBigInt(SPL_ACCOUNT_LAYOUT.decode(account.data).amount);
+
+// CPMM protocol + fund fees still sitting in the vaults (token0, token1), not tradable
+const cpmmPendingFees = data => [
+  data.readBigUInt64LE(341) + data.readBigUInt64LE(357),
+  data.readBigUInt64LE(349) + data.readBigUInt64LE(365)
+];
+
+/**
+ * Find SOL pools for a mint, deepest first. Uses the Raydium API and falls back to
+ * scanning AMM v4 pool accounts on-chain when the API is unavailable.
+ * Returns [{ type: 'AMM v4' | 'CPMM', id }]
+ */
+export async function findRaydiumPools(connection, tokenMint) {
+  const mint = new PublicKey(tokenMint).toBase58();
+
+  try {
+    const url = `${RAYDIUM_API_URL}/pools/info/mint?mint1=${mint}&mint2=${NATIVE_MINT.toBase58()}` +
+      '&poolType=standard&poolSortField=liquidity&sortType=desc&pageSize=10&page=1';
+    const response = await fetch(url);
+    if (response.ok) {
+      const body = await response.json();
+      const pools = (body.data?.data || [])
+        .map(pool => {
+          if (pool.programId === RAYDIUM_AMM_V4_PROGRAM.toBase58()) return { type: 'AMM v4', id: pool.id };
+          if (pool.programId === RAYDIUM_CPMM_PROGRAM.toBase58()) return { type: 'CPMM', id: pool.id };
+          return null;
+        })
+        .filter(Boolean);
+      if (pools.length > 0) return pools;
+    }
+  } catch {
+    // Fall through to the on-chain scan
+  }
+
+  const scan = async (mintField, otherField) => {
+    const accounts = await connection.getProgramAccounts(RAYDIUM_AMM_V4_PROGRAM, {
+      dataSlice: { offset: 0, length: 0 },
+      filters: [
+        { dataSize: LIQUIDITY_STATE_LAYOUT_V4.span },
+        { memcmp: { offset: LIQUIDITY_STATE_LAYOUT_V4.offsetOf(mintField), bytes: mint } },
+        { memcmp: { offset: LIQUIDITY_STATE_LAYOUT_V4.offsetOf(otherField), bytes: NATIVE_MINT.toBase58() } }
+      ]
+    });
+    return accounts.map(({ pubkey }) => ({ type: 'AMM v4', id: pubkey.toBase58() }));
+  };
+
+  return [...await scan('baseMint', 'quoteMint'), ...await scan('quoteMint', 'baseMint')];
+}
+
+/**
+ * Load an AMM v4 pool with everything needed to quote and swap.
+ * Reserves exclude PnL the pool still owes to the protocol.
+ */
+async function loadAmmV4Pool(connection, poolId) {
+  const id = new PublicKey(poolId);
+  const poolAccount = await connection.getAccountInfo(id);
+  if (!poolAccount) throw new Error(`Raydium pool ${poolId} not found`);
+  const state = LIQUIDITY_STATE_LAYOUT_V4.decode(poolAccount.data);
+
+  const [marketAccount, baseVaultAccount, quoteVaultAccount] = await connection.getMultipleAccountsInfo([
+    state.marketId,
+    state.baseVault,
+    state.quoteVault
+  ]);
+  if (!marketAccount || !baseVaultAccount || !quoteVaultAccount) {
+    throw new Error(`Raydium pool ${poolId} accounts are incomplete`);
+  }
+  const market = MARKET_STATE_LAYOUT_V3.decode(marketAccount.data);
+
+  const poolKeys = {
+    id,
+    baseMint: state.baseMint,
+    quoteMint: state.quoteMint,
+    lpMint: state.lpMint,
+    baseDecimals: state.baseDecimal.toNumber(),
+    quoteDecimals: state.quoteDecimal.toNumber(),
+    lpDecimals: state.baseDecimal.toNumber(),
+    version: 4,
+    programId: RAYDIUM_AMM_V4_PROGRAM,
+    authority: Liquidity.getAssociatedAuthority({ programId: RAYDIUM_AMM_V4_PROGRAM }).publicKey,
+    openOrders: state.openOrders,
+    targetOrders: state.targetOrders,
+    baseVault: state.baseVault,
+    quoteVault: state.quoteVault,
+    withdrawQueue: state.withdrawQueue,
+    lpVault: state.lpVault,
+    marketVersion: 3,
+    marketProgramId: state.marketProgramId,
+    marketId: state.marketId,
+    marketAuthority: Market.getAssociatedAuthority({ programId: state.marketProgramId, marketId: state.marketId }).publicKey,
+    marketBaseVault: market.baseVault,
+    marketQuoteVault: market.quoteVault,
+    marketBids: market.bids,
+    marketAsks: market.asks,
+    marketEventQueue: market.eventQueue,
+    lookupTableAccount: PublicKey.default
+  };
+
+  return {
+    type: 'AMM v4',
+    id,
+    mintA: state.baseMint,
+    mintB: state.quoteMint,
+    decimalsA: poolKeys.baseDecimals,
+    decimalsB: poolKeys.quoteDecimals,
+    programA: TOKEN_PROGRAM_ID,
+    programB: TOKEN_PROGRAM_ID,
+    reserveA: vaultAmount(baseVaultAccount) - toBigInt(state.baseNeedTakePnl),
+    reserveB: vaultAmount(quoteVaultAccount) - toBigInt(state.quoteNeedTakePnl),
+    feeNumerator: toBigInt(state.swapFeeNumerator),
+    feeDenominator: toBigInt(state.swapFeeDenominator),
+    poolKeys
+  };
+}
+
+/**
+ * Load a CPMM pool. Pool state layout (after the 8-byte discriminator):
+ * ammConfig, poolCreator, token0Vault, token1Vault, lpMint, token0Mint, token1Mint,
+ * token0Program, token1Program, observationKey (pubkeys), authBump, status,
+ * lpMintDecimals, mint0Decimals, mint1Decimals (u8), lpSupply, protocolFees0/1, fundFees0/1 (u64)
+ */
+async function loadCpmmPool(connection, poolId) {
+  const id = new PublicKey(poolId);
+  const poolAccount = await connection.getAccountInfo(id);
+  if (!poolAccount) throw new Error(`Raydium pool ${poolId} not found`);
+  const data = poolAccount.data;
+  const key = index => new PublicKey(data.subarray(8 + index * 32, 40 + index * 32));
+
+  const state = {
+    ammConfig: key(0),
+    token0Vault: key(2),
+    token1Vault: key(3),
+    token0Mint: key(5),
+    token1Mint: key(6),
+    token0Program: key(7),
+    token1Program: key(8),
+    observationKey: key(9),
+    mint0Decimals: data[331],
+    mint1Decimals: data[332]
+  };
+  const [pendingFees0, pendingFees1] = cpmmPendingFees(data);
+
+  const [configAccount, vault0Account, vault1Account] = await connection.getMultipleAccountsInfo([
+    state.ammConfig,
+    state.token0Vault,
+    state.token1Vault
+  ]);
+  if (!configAccount || !vault0Account || !vault1Account) {
+    throw new Error(`Raydium pool ${poolId} accounts are incomplete`);
+  }
+
+  return {
+    type: 'CPMM',
+    id,
+    mintA: state.token0Mint,
+    mintB: state.token1Mint,
+    decimalsA: state.mint0Decimals,
+    decimalsB: state.mint1Decimals,
+    programA: state.token0Program,
+    programB: state.token1Program,
+    reserveA: vaultAmount(vault0Account) - pendingFees0,
+    reserveB: vaultAmount(vault1Account) - pendingFees1,
+    // AmmConfig: discriminator(8) | bump | disableCreatePool | index (u16) | tradeFeeRate (u64)
+    feeNumerator: configAccount.data.readBigUInt64LE(12),
+    feeDenominator: CPMM_FEE_DENOMINATOR,
+    state
+  };
+}
+
+export async function loadRaydiumPool(connection, { type, id }) {
+  return type === 'CPMM' ? loadCpmmPool(connection, id) : loadAmmV4Pool(connection, id);
+}
+
+/**
+ * Current reserves of an already loaded pool in one read of the pool account and its
+ * two vaults, skipping the market/config lookups that don't change between trades.
+ */
+export async function refreshRaydiumReserves(connection, pool) {
+  const [vaultA, vaultB] = pool.type === 'CPMM'
+    ? [pool.state.token0Vault, pool.state.token1Vault]
+    : [pool.poolKeys.baseVault, pool.poolKeys.quoteVault];
+  const [poolAccount, vaultAAccount, vaultBAccount] = await connection.getMultipleAccountsInfo([pool.id, vaultA, vaultB]);
+  if (!poolAccount || !vaultAAccount || !vaultBAccount) {
+    throw new Error(`Raydium pool ${pool.id.toBase58()} accounts are incomplete`);
+  }
+
+  if (pool.type === 'CPMM') {
+    const [pendingFees0, pendingFees1] = cpmmPendingFees(poolAccount.data);
+    return {
+      ...pool,
+      reserveA: vaultAmount(vaultAAccount) - pendingFees0,
+      reserveB: vaultAmount(vaultBAccount) - pendingFees1
+    };
+  }
+  const state = LIQUIDITY_STATE_LAYOUT_V4.decode(poolAccount.data);
+  return {
+    ...pool,
+    reserveA: vaultAmount(vaultAAccount) - toBigInt(state.baseNeedTakePnl),
+    reserveB: vaultAmount(vaultBAccount) - toBigInt(state.quoteNeedTakePnl)
+  };
+}
+
+// Orient a pool around the input mint
+function sides(pool, inputMint) {
+  const aIsInput = pool.mintA.equals(new PublicKey(inputMint));
+  return aIsInput
+    ? { reserveIn: pool.reserveA, reserveOut: pool.reserveB, mintIn: pool.mintA, mintOut: pool.mintB, programIn: pool.programA, programOut: pool.programB }
+    : { reserveIn: pool.reserveB, reserveOut: pool.reserveA, mintIn: pool.mintB, mintOut: pool.mintA, programIn: pool.programB, programOut: pool.programA };
+}
+
+// Constant-product output for an exact input, after the pool's trade fee
+export function quoteRaydiumSwap(pool, inputMint, amountIn) {
+  const { reserveIn, reserveOut } = sides(pool, inputMint);
+  const amount = BigInt(amountIn);
+  const amountAfterFee = amount - amount * pool.feeNumerator / pool.feeDenominator;
+  if (reserveIn <= 0n || reserveOut <= 0n) return 0n;
+  return reserveOut * amountAfterFee / (reserveIn + amountAfterFee);
+}
+
+// SOL per whole token from the current reserves
+export function getRaydiumPrice(pool, tokenMint) {
+  const tokenIsA = pool.mintA.equals(new PublicKey(tokenMint));
+  const tokenReserve = Number(tokenIsA ? pool.reserveA : pool.reserveB) / 10 ** (tokenIsA ? pool.decimalsA : pool.decimalsB);
+  const solReserve = Number(tokenIsA ? pool.reserveB : pool.reserveA) / 10 ** (tokenIsA ? pool.decimalsB : pool.decimalsA);
+  return tokenReserve > 0 ? solReserve / tokenReserve : 0;
+}
+
+function createCpmmSwapInstruction(pool, owner, accounts, amountIn, minAmountOut) {
+  const authority = PublicKey.findProgramAddressSync(
+    [Buffer.from('vault_and_lp_mint_auth_seed')],
+    RAYDIUM_CPMM_PROGRAM
+  )[0];
+  const inputIsToken0 = accounts.mintIn.equals(pool.state.token0Mint);
+
+  const data = Buffer.alloc(24);
+  CPMM_SWAP_BASE_INPUT.copy(data, 0);
+  data.writeBigUInt64LE(amountIn, 8);
+  data.writeBigUInt64LE(minAmountOut, 16);
+
+  return new TransactionInstruction({
+    programId: RAYDIUM_CPMM_PROGRAM,
+    keys: [
+      { pubkey: owner, isSigner: true, isWritable: false },
+      { pubkey: authority, isSigner: false, isWritable: false },
+      { pubkey: pool.state.ammConfig, isSigner: false, isWritable: false },
+      { pubkey: pool.id, isSigner: false, isWritable: true },
+      { pubkey: accounts.tokenAccountIn, isSigner: false, isWritable: true },
+      { pubkey: accounts.tokenAccountOut, isSigner: false, isWritable: true },
+      { pubkey: inputIsToken0 ? pool.state.token0Vault : pool.state.token1Vault, isSigner: false, isWritable: true },
+      { pubkey: inputIsToken0 ? pool.state.token1Vault : pool.state.token0Vault, isSigner: false, isWritable: true },
+      { pubkey: accounts.programIn, isSigner: false, isWritable: false },
+      { pubkey: accounts.programOut, isSigner: false, isWritable: false },
+      { pubkey: accounts.mintIn, isSigner: false, isWritable: false },
+      { pubkey: accounts.mintOut, isSigner: false, isWritable: false },
+      { pubkey: pool.state.observationKey, isSigner: false, isWritable: true }
+    ],
+    data
+  });
+}
+
+/**
+ * Exact-input swap transaction. SOL legs go through a temporary wrapped SOL
+ * account that is closed (unwrapped) at the end of the transaction.
+ */
+export function buildRaydiumSwapTransaction({ pool, owner, inputMint, amountIn, minAmountOut }) {
+  const side = sides(pool, inputMint);
+  const tokenAccountIn = getAssociatedTokenAddressSync(side.mintIn, owner, false, side.programIn);
+  const tokenAccountOut = getAssociatedTokenAddressSync(side.mintOut, owner, false, side.programOut);
+  const wrappedSolAccount = side.mintIn.equals(NATIVE_MINT) ? tokenAccountIn : tokenAccountOut;
+
+  const transaction = new Transaction().add(
+    createAssociatedTokenAccountIdempotentInstruction(owner, tokenAccountIn, owner, side.mintIn, side.programIn),
+    createAssociatedTokenAccountIdempotentInstruction(owner, tokenAccountOut, owner, side.mintOut, side.programOut)
+  );
+
+  if (side.mintIn.equals(NATIVE_MINT)) {
+    transaction.add(
+      SystemProgram.transfer({ fromPubkey: owner, toPubkey: tokenAccountIn, lamports: amountIn }),
+      createSyncNativeInstruction(tokenAccountIn)
+    );
+  }
+
+  if (pool.type === 'CPMM') {
+    transaction.add(createCpmmSwapInstruction(pool, owner, { ...side, tokenAccountIn, tokenAccountOut }, amountIn, minAmountOut));
+  } else {
+    const { innerTransaction } = Liquidity.makeSwapInstruction({
+      poolKeys: pool.poolKeys,
+      userKeys: { tokenAccountIn, tokenAccountOut, owner },
+      amountIn: new BN(amountIn.toString()),
+      amountOut: new BN(minAmountOut.toString()),
+      fixedSide: 'in'
+    });
+    transaction.add(...innerTransaction.instructions);
+  }
+
+  transaction.add(createCloseAccountInstruction(wrappedSolAccount, owner, owner));
+  return transaction;
+}
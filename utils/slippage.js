@@ -0,0 +1,46 @@
+const BPS_DENOMINATOR = 10000n;
+
+export class SlippagePolicy {
+  constructor({ defaultBps = 500, venueBps = {} } = {}) {
+    this.defaultBps = defaultBps;
+    this.venueBps = venueBps;
+  }
+
+  /**
+   * Slippage tolerance in basis points for a venue (falls back to the chain default)
+   */
+  getBps(venue) {
+    const bps = this.venueBps[venue] ?? this.defaultBps;
+    return Math.min(Math.max(Math.floor(bps), 0), Number(BPS_DENOMINATOR));
+  }
+
+  /**
+   * Minimum acceptable output for a freshly quoted expected output.
+   * Accepts bigint, BN, string or number and always returns a bigint.
+   */
+  minOutput(expectedOut, venue) {
+    const expected = BigInt(expectedOut.toString());
+    const bps = BigInt(this.getBps(venue));
+    return expected * (BPS_DENOMINATOR - bps) / BPS_DENOMINATOR;
+  }
+
+  /**
+   * Maximum acceptable input for venues that fix the output and cap what we pay
+   * (e.g. Pump.fun buys take an exact token amount and a max SOL cost).
+   */
+  maxInput(expectedIn, venue) {
+    const expected = BigInt(expectedIn.toString());
+    const bps = BigInt(this.getBps(venue));
+    return expected * (BPS_DENOMINATOR + bps) / BPS_DENOMINATOR;
+  }
+
+  /**
+   * Input to quote so that maxInput() of it stays within `budget` (the sized buy
+   * amount): budget × 10000 / (10000 + bps).
+   */
+  inputWithinBudget(budget, venue) {
+    const total = BigInt(budget.toString());
+    const bps = BigInt(this.getBps(venue));
+    return total * BPS_DENOMINATOR / (BPS_DENOMINATOR + bps);
+  }
+}
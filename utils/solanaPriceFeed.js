@@ -0,0 +1,130 @@
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import chalk from 'chalk';
+import { fetchBondingCurve, quoteSell as quotePumpFunSell } from './pumpFun.js';
+import { findRaydiumPools, loadRaydiumPool, quoteRaydiumSwap } from './raydium.js';
+import { isRateLimitError } from './chainClients.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Token amounts arrive as strings, numbers, bigints or BN (Meteora quotes); normalize to raw BigInt
+export function toRawAmount(value) {
+  if (value === undefined || value === null || value === '') return 0n;
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number') return BigInt(Math.floor(value));
+  return BigInt(value.toString());
+}
+
+/**
+ * Values Solana positions by what selling them would return: a Jupiter quote
+ * for the held amount (token → SOL), so price impact is included. When Jupiter
+ * is unavailable, the same quote is computed locally from the Pump.fun bonding
+ * curve or a Raydium pool. Mint decimals and Raydium pool ids are cached.
+ */
+export class SolanaPriceFeed {
+  constructor(connection, { jupiterApiUrl = 'https://quote-api.jup.ag/v6', onRateLimit = null } = {}) {
+    this.connection = connection;
+    this.jupiterApiUrl = jupiterApiUrl;
+    // Called whenever Jupiter or the RPC answers with a rate limit
+    this.onRateLimit = onRateLimit;
+    this.decimals = new Map();
+    this.raydiumPools = new Map();
+  }
+
+  async getDecimals(tokenMint) {
+    if (this.decimals.has(tokenMint)) return this.decimals.get(tokenMint);
+
+    const mintInfo = await this.connection.getParsedAccountInfo(new PublicKey(tokenMint));
+    const decimals = mintInfo.value?.data?.parsed?.info?.decimals;
+    if (decimals === undefined) {
+      throw new Error(`Could not read mint decimals for ${tokenMint}`);
+    }
+    this.decimals.set(tokenMint, decimals);
+    return decimals;
+  }
+
+  // Fetch decimals for every uncached mint in a single getMultipleParsedAccounts call
+  async loadDecimals(tokenMints) {
+    const missing = [...new Set(tokenMints)].filter(mint => !this.decimals.has(mint));
+    if (missing.length === 0) return;
+
+    const accounts = await this.connection.getMultipleParsedAccounts(missing.map(mint => new PublicKey(mint)));
+    accounts.value.forEach((account, index) => {
+      const decimals = account?.data?.parsed?.info?.decimals;
+      if (decimals !== undefined) this.decimals.set(missing[index], decimals);
+    });
+  }
+
+  // Lamports out for selling amountRaw via Jupiter, or null
+  async quoteJupiter(tokenMint, amountRaw) {
+    try {
+      const response = await fetch(
+        `${this.jupiterApiUrl}/quote?inputMint=${tokenMint}&outputMint=${SOL_MINT}&amount=${amountRaw}&slippageBps=50`
+      );
+      if (!response.ok) {
+        if (response.status === 429) this.onRateLimit?.();
+        return null;
+      }
+      const quote = await response.json();
+      return quote.outAmount ? BigInt(quote.outAmount) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Lamports out from the Pump.fun curve while the token is still on it, or null
+  async quotePumpFun(tokenMint, amountRaw) {
+    const curve = await fetchBondingCurve(this.connection, tokenMint);
+    if (!curve || curve.complete) return null;
+    return quotePumpFunSell(curve, amountRaw);
+  }
+
+  // Lamports out from the deepest Raydium SOL pool, or null
+  async quoteRaydium(tokenMint, amountRaw) {
+    if (!this.raydiumPools.has(tokenMint)) {
+      const pools = await findRaydiumPools(this.connection, tokenMint);
+      this.raydiumPools.set(tokenMint, pools[0] || null);
+    }
+    const poolRef = this.raydiumPools.get(tokenMint);
+    if (!poolRef) return null;
+
+    const pool = await loadRaydiumPool(this.connection, poolRef);
+    return quoteRaydiumSwap(pool, tokenMint, amountRaw);
+  }
+
+  async quoteSell(tokenMint, amountRaw) {
+    const jupiterOut = await this.quoteJupiter(tokenMint, amountRaw);
+    if (jupiterOut !== null) return { lamports: jupiterOut, venue: 'Jupiter' };
+
+    const fallbacks = [
+      ['Pump.fun', () => this.quotePumpFun(tokenMint, amountRaw)],
+      ['Raydium', () => this.quoteRaydium(tokenMint, amountRaw)]
+    ];
+    for (const [venue, quote] of fallbacks) {
+      try {
+        const lamports = await quote();
+        if (lamports !== null) return { lamports, venue };
+      } catch (error) {
+        if (isRateLimitError(error)) this.onRateLimit?.();
+        console.log(chalk.gray(`   ${venue} price fallback failed for ${tokenMint}: ${error.message}`));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sell-side valuation of a held amount: { valueSOL, price (SOL per whole token),
+   * venue, decimals }, or null when no venue can quote it
+   */
+  async getValue(tokenMint, amount) {
+    const amountRaw = toRawAmount(amount);
+    const decimals = await this.getDecimals(tokenMint);
+    if (amountRaw <= 0n) return { valueSOL: 0, price: 0, venue: null, decimals };
+
+    const quote = await this.quoteSell(tokenMint, amountRaw);
+    if (!quote) return null;
+
+    const valueSOL = Number(quote.lamports) / LAMPORTS_PER_SOL;
+    const tokens = Number(amountRaw) / 10 ** decimals;
+    return { valueSOL, price: valueSOL / tokens, venue: quote.venue, decimals };
+  }
+}
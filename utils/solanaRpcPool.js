@@ -0,0 +1,152 @@
+import { Connection } from '@solana/web3.js';
+import chalk from 'chalk';
+
+// Connection methods treated as reads: retried on the next endpoint when the current one fails
+const READ_METHOD = /^(get|simulate)/;
+
+// JSON-RPC codes that mean the node itself is unwell, not that the request was wrong
+const NODE_ERROR_CODES = new Set([-32603, -32005, -32004]);
+const ENDPOINT_ERROR = /timed out|too many requests|rate limit|fetch failed|failed to fetch|socket hang up|network|ECONNRESET|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|\b(429|5\d\d)\b/i;
+
+/**
+ * Whether an error says something about the endpoint (transport failure, timeout,
+ * rate limit, 5xx) rather than the request. Only those are worth another endpoint:
+ * an RPC error such as "could not find account" would come back the same everywhere.
+ */
+function isEndpointError(error) {
+  if (error?.name === 'SolanaJSONRPCError') return NODE_ERROR_CODES.has(error.code);
+  return ENDPOINT_ERROR.test(error?.message || '');
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Several Solana RPC endpoints behind one Connection-shaped object. Reads go to
+ * the healthiest endpoint (fastest successful getSlot) and fail over to the next
+ * on transport errors, timeouts, 429s and 5xx; RPC errors about the request itself
+ * are returned as-is. With broadcast enabled, signed transactions are sent to every
+ * healthy endpoint and the first confirmation wins.
+ */
+export class SolanaRpcPool {
+  constructor(urls, { commitment = 'confirmed', timeoutMs = 10000, healthCheckMs = 30000, broadcast = false } = {}) {
+    if (urls.length === 0) throw new Error('At least one Solana RPC URL is required');
+
+    this.endpoints = urls.map(url => ({
+      url,
+      connection: new Connection(url, commitment),
+      healthy: true,
+      latencyMs: null
+    }));
+    this.timeoutMs = timeoutMs;
+    this.broadcast = broadcast && this.endpoints.length > 1;
+    this.connection = this.createFailoverConnection();
+
+    if (this.endpoints.length > 1 && healthCheckMs > 0) {
+      this.checkHealth();
+      // Health checks must not keep the process alive on their own
+      this.healthTimer = setInterval(() => this.checkHealth(), healthCheckMs);
+      this.healthTimer.unref?.();
+    }
+  }
+
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      const started = Date.now();
+      try {
+        await withTimeout(endpoint.connection.getSlot(), this.timeoutMs, 'getSlot');
+        if (!endpoint.healthy) console.log(chalk.green(`✅ Solana RPC back online: ${endpoint.url}`));
+        endpoint.healthy = true;
+        endpoint.latencyMs = Date.now() - started;
+      } catch (error) {
+        this.markUnhealthy(endpoint, error);
+      }
+    }));
+  }
+
+  markUnhealthy(endpoint, error) {
+    if (endpoint.healthy) {
+      console.log(chalk.yellow(`⚠️  Solana RPC unhealthy: ${endpoint.url} (${error.message})`));
+    }
+    endpoint.healthy = false;
+  }
+
+  // Healthy endpoints by latency, then unhealthy ones as a last resort
+  ranked() {
+    const byLatency = (a, b) => (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+    return [
+      ...this.endpoints.filter(endpoint => endpoint.healthy).sort(byLatency),
+      ...this.endpoints.filter(endpoint => !endpoint.healthy)
+    ];
+  }
+
+  get primary() {
+    return this.ranked()[0].connection;
+  }
+
+  // Run fn(connection) on each endpoint in rank order until one succeeds; request
+  // errors are rethrown straight away and leave the endpoint's health alone
+  async withFailover(label, fn) {
+    let lastError;
+    for (const endpoint of this.ranked()) {
+      try {
+        return await withTimeout(fn(endpoint.connection), this.timeoutMs, label);
+      } catch (error) {
+        if (!isEndpointError(error)) throw error;
+        lastError = error;
+        if (this.endpoints.length > 1) this.markUnhealthy(endpoint, error);
+      }
+    }
+    throw lastError;
+  }
+
+  async sendRawTransaction(rawTransaction, options) {
+    if (!this.broadcast) {
+      return this.withFailover('sendRawTransaction', connection => connection.sendRawTransaction(rawTransaction, options));
+    }
+
+    // Same signed bytes everywhere, so every endpoint returns the same signature
+    const targets = this.ranked().filter(endpoint => endpoint.healthy);
+    return Promise.any((targets.length > 0 ? targets : this.endpoints).map(endpoint =>
+      withTimeout(endpoint.connection.sendRawTransaction(rawTransaction, options), this.timeoutMs, 'sendRawTransaction')
+    )).catch(error => { throw error.errors?.[0] || error; });
+  }
+
+  // Confirmation can legitimately take until blockhash expiry, so no read timeout here
+  async confirmTransaction(strategy, commitment) {
+    if (!this.broadcast) {
+      return this.primary.confirmTransaction(strategy, commitment);
+    }
+    const targets = this.ranked().filter(endpoint => endpoint.healthy);
+    return Promise.any((targets.length > 0 ? targets : this.endpoints).map(endpoint =>
+      endpoint.connection.confirmTransaction(strategy, commitment)
+    )).catch(error => { throw error.errors?.[0] || error; });
+  }
+
+  /**
+   * A Connection stand-in for code that expects one (SDKs, helpers): reads fail
+   * over, sends/confirmations use the pool, everything else hits the current primary.
+   */
+  createFailoverConnection() {
+    const pool = this;
+    return new Proxy(this.endpoints[0].connection, {
+      get(_target, prop) {
+        if (prop === 'sendRawTransaction' || prop === 'confirmTransaction') {
+          return pool[prop].bind(pool);
+        }
+        const primary = pool.primary;
+        const value = primary[prop];
+        if (typeof value !== 'function') return value;
+        if (typeof prop === 'string' && READ_METHOD.test(prop)) {
+          return (...args) => pool.withFailover(prop, connection => connection[prop](...args));
+        }
+        return value.bind(primary);
+      }
+    });
+  }
+}
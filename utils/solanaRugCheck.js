@@ -0,0 +1,158 @@
+import { PublicKey } from '@solana/web3.js';
+import { TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import chalk from 'chalk';
+
+// Token-2022 extensions that let the issuer take, lock or tax holders' tokens
+const DANGEROUS_EXTENSIONS = {
+  permanentDelegate: 'Permanent delegate can move or burn any holder\'s tokens',
+  nonTransferable: 'Token is non-transferable',
+  transferHook: 'Transfer hook program runs on every transfer',
+  pausableConfig: 'Transfers can be paused by the issuer'
+};
+
+const ACTION_RANK = { allow: 0, downsize: 1, block: 2 };
+
+export const DEFAULT_RUG_CHECK_RULES = {
+  mintAuthority: 'block',
+  freezeAuthority: 'block',
+  tokenExtensions: 'block',
+  maxTransferFeeBps: 100,
+  concentration: 'downsize',
+  maxTopHolderPercent: 20,
+  maxTop10Percent: 50,
+  downsizeFactor: 0.5
+};
+
+/**
+ * Pre-trade safety checks for a Solana mint: authorities, Token-2022 extensions
+ * and top-holder concentration. Each finding maps to a configured action and the
+ * strictest one wins.
+ */
+export class SolanaRugChecker {
+  constructor(connection, rules = {}) {
+    this.connection = connection;
+    this.rules = { ...DEFAULT_RUG_CHECK_RULES, ...rules };
+  }
+
+  async check(tokenAddress) {
+    const findings = [];
+    const details = {};
+
+    try {
+      const mint = new PublicKey(tokenAddress);
+      const mintAccount = await this.connection.getParsedAccountInfo(mint);
+      const parsed = mintAccount.value?.data?.parsed;
+
+      if (!parsed || parsed.type !== 'mint') {
+        return this.buildResult([{ action: 'block', reason: 'Address is not a token mint' }], details);
+      }
+
+      const info = parsed.info;
+      details.decimals = info.decimals;
+      details.supply = info.supply;
+      details.mintAuthority = info.mintAuthority || null;
+      details.freezeAuthority = info.freezeAuthority || null;
+      details.isToken2022 = mintAccount.value.owner.equals(TOKEN_2022_PROGRAM_ID);
+
+      if (info.mintAuthority) {
+        findings.push({ action: this.rules.mintAuthority, reason: `Mint authority is still set (${info.mintAuthority})` });
+      }
+      if (info.freezeAuthority) {
+        findings.push({ action: this.rules.freezeAuthority, reason: `Freeze authority is still set (${info.freezeAuthority})` });
+      }
+
+      findings.push(...this.checkExtensions(info.extensions || [], details));
+      findings.push(...await this.checkConcentration(mint, info, details));
+    } catch (error) {
+      console.error(chalk.yellow('⚠️  Rug check failed:'), error.message);
+      findings.push({ action: 'block', reason: `Rug check failed: ${error.message}` });
+    }
+
+    return this.buildResult(findings, details);
+  }
+
+  checkExtensions(extensions, details) {
+    const findings = [];
+    details.extensions = extensions.map(ext => ext.extension);
+
+    for (const ext of extensions) {
+      if (ext.extension === 'transferFeeConfig') {
+        const feeBps = Math.max(
+          ext.state?.newerTransferFee?.transferFeeBasisPoints ?? 0,
+          ext.state?.olderTransferFee?.transferFeeBasisPoints ?? 0
+        );
+        details.transferFeeBps = feeBps;
+        if (feeBps > this.rules.maxTransferFeeBps) {
+          findings.push({
+            action: this.rules.tokenExtensions,
+            reason: `Transfer fee ${feeBps / 100}% exceeds ${this.rules.maxTransferFeeBps / 100}%`
+          });
+        }
+      } else if (ext.extension === 'defaultAccountState' && ext.state?.accountState === 'frozen') {
+        findings.push({ action: this.rules.tokenExtensions, reason: 'New token accounts start frozen' });
+      } else if (DANGEROUS_EXTENSIONS[ext.extension]) {
+        findings.push({ action: this.rules.tokenExtensions, reason: DANGEROUS_EXTENSIONS[ext.extension] });
+      }
+    }
+
+    return findings;
+  }
+
+  // Pools and bonding curves hold tokens through program-derived (off-curve) owners,
+  // so only on-curve wallets count towards concentration
+  async checkConcentration(mint, info, details) {
+    const supply = BigInt(info.supply);
+    if (supply === 0n) return [];
+
+    const largest = await this.connection.getTokenLargestAccounts(mint);
+    const accounts = largest.value.filter(account => BigInt(account.amount) > 0n);
+    if (accounts.length === 0) return [];
+
+    const owners = await this.connection.getMultipleParsedAccounts(accounts.map(account => account.address));
+    const walletBalances = accounts
+      .map((account, index) => ({
+        owner: owners.value[index]?.data?.parsed?.info?.owner,
+        amount: BigInt(account.amount)
+      }))
+      .filter(holder => holder.owner && PublicKey.isOnCurve(new PublicKey(holder.owner).toBytes()))
+      .map(holder => holder.amount);
+
+    const percentOf = amount => Number(amount * 10000n / supply) / 100;
+    const topHolderPercent = walletBalances.length > 0 ? percentOf(walletBalances[0]) : 0;
+    const top10Percent = percentOf(walletBalances.slice(0, 10).reduce((sum, amount) => sum + amount, 0n));
+
+    details.topHolderPercent = topHolderPercent;
+    details.top10Percent = top10Percent;
+
+    const findings = [];
+    if (topHolderPercent > this.rules.maxTopHolderPercent) {
+      findings.push({
+        action: this.rules.concentration,
+        reason: `Top wallet holds ${topHolderPercent.toFixed(2)}% of supply (max ${this.rules.maxTopHolderPercent}%)`
+      });
+    }
+    if (top10Percent > this.rules.maxTop10Percent) {
+      findings.push({
+        action: this.rules.concentration,
+        reason: `Top 10 wallets hold ${top10Percent.toFixed(2)}% of supply (max ${this.rules.maxTop10Percent}%)`
+      });
+    }
+    return findings;
+  }
+
+  buildResult(findings, details) {
+    const flagged = findings.filter(finding => finding.action !== 'allow');
+    const action = flagged.reduce(
+      (strictest, finding) => ACTION_RANK[finding.action] > ACTION_RANK[strictest] ? finding.action : strictest,
+      'allow'
+    );
+
+    return {
+      action,
+      passed: action !== 'block',
+      sizeMultiplier: action === 'downsize' ? this.rules.downsizeFactor : action === 'block' ? 0 : 1,
+      reasons: flagged.map(finding => finding.reason),
+      details
+    };
+  }
+}
@@ -0,0 +1,184 @@
+import { ComputeBudgetProgram, VersionedTransaction } from '@solana/web3.js';
+import chalk from 'chalk';
+import { decodeSolanaFailure } from './txFailures.js';
+
+// Upper bound per transaction; used while simulating so the simulation itself can't run out
+const MAX_COMPUTE_UNITS = 1400000;
+// getRecentPrioritizationFees accepts at most 128 accounts
+const MAX_FEE_ACCOUNTS = 128;
+// A blockhash is valid for 150 blocks (about a minute); when the block height can't be
+// read, the transaction is only given up on once this has surely passed
+const MAX_BLOCKHASH_AGE_MS = 120000;
+// Status read that failed, as opposed to a transaction that hasn't landed yet
+const STATUS_UNKNOWN = Symbol('status unknown');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Lands Solana transactions quickly: prices compute from recent prioritization
+ * fees on the accounts the transaction writes (percentile, clamped to a floor and
+ * cap), sizes the compute-unit limit from a simulation, then rebroadcasts the
+ * signed transaction until it confirms or its blockhash expires. Status is polled
+ * more often than the rebroadcast so landing is noticed (and timed) promptly.
+ */
+export class SolanaTransactionSender {
+  constructor(rpcPool, wallet, {
+    priorityFeePercentile = 75,
+    minPriorityFeeMicroLamports = 0,
+    maxPriorityFeeMicroLamports = 1000000,
+    computeUnitMarginPercent = 20,
+    resendIntervalMs = 2000,
+    statusPollMs = 250
+  } = {}) {
+    this.rpc = rpcPool;
+    this.connection = rpcPool.connection;
+    this.wallet = wallet;
+    this.priorityFeePercentile = priorityFeePercentile;
+    this.minPriorityFee = minPriorityFeeMicroLamports;
+    this.maxPriorityFee = maxPriorityFeeMicroLamports;
+    this.computeUnitMargin = computeUnitMarginPercent;
+    this.resendIntervalMs = resendIntervalMs;
+    this.statusPollMs = Math.min(statusPollMs, resendIntervalMs);
+  }
+
+  // Priority fee in micro-lamports per compute unit
+  async getPriorityFee(instructions) {
+    const writable = [...new Map(
+      instructions.flatMap(ix => ix.keys.filter(key => key.isWritable).map(key => [key.pubkey.toBase58(), key.pubkey]))
+    ).values()].slice(0, MAX_FEE_ACCOUNTS);
+
+    try {
+      const fees = (await this.connection.getRecentPrioritizationFees({ lockedWritableAccounts: writable }))
+        .map(entry => entry.prioritizationFee)
+        .sort((a, b) => a - b);
+      const percentileFee = fees.length > 0
+        ? fees[Math.min(fees.length - 1, Math.floor(fees.length * this.priorityFeePercentile / 100))]
+        : 0;
+      return Math.min(this.maxPriorityFee, Math.max(this.minPriorityFee, percentileFee));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not read recent priority fees: ${error.message}`));
+      return this.minPriorityFee;
+    }
+  }
+
+  // Replace any compute-budget instructions (SDK-built transactions may carry their own) with ours
+  setComputeBudget(transaction, units, microLamports) {
+    const instructions = transaction.instructions.filter(ix => !ix.programId.equals(ComputeBudgetProgram.programId));
+    transaction.instructions = [
+      ComputeBudgetProgram.setComputeUnitLimit({ units }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+      ...instructions
+    ];
+  }
+
+  // Program of the instruction an InstructionError points at
+  failingProgram(transaction, err) {
+    const index = err?.InstructionError?.[0];
+    return index !== undefined ? transaction.instructions[index]?.programId : null;
+  }
+
+  // Unsigned pre-flight simulation of the compiled message (also works for SDK-built
+  // transactions); failures are decoded from the program logs
+  async simulate(transaction) {
+    const simulation = await this.connection.simulateTransaction(
+      new VersionedTransaction(transaction.compileMessage()),
+      { sigVerify: false, commitment: 'confirmed' }
+    );
+    const { err, logs } = simulation.value;
+    if (err) {
+      throw decodeSolanaFailure(err, logs || [], this.failingProgram(transaction, err));
+    }
+    return simulation.value;
+  }
+
+  // Past lastValidBlockHeight; if the height can't be read, only once the blockhash is surely stale
+  async hasExpired(lastValidBlockHeight, sentAt) {
+    try {
+      return await this.connection.getBlockHeight('confirmed') > lastValidBlockHeight;
+    } catch {
+      return Date.now() - sentAt > MAX_BLOCKHASH_AGE_MS;
+    }
+  }
+
+  /**
+   * Price, size, sign and land a transaction. Returns the signature and landing
+   * stats: { latencyMs, sends, computeUnits, priorityFeeMicroLamports }. An optional
+   * StageTimer gets 'simulate' and 'sent' marks. Errors thrown once the transaction
+   * has been broadcast carry its `signature`.
+   */
+  async send(transaction, { timer } = {}) {
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.lastValidBlockHeight = lastValidBlockHeight;
+    transaction.feePayer = transaction.feePayer || this.wallet.publicKey;
+
+    const priorityFee = await this.getPriorityFee(transaction.instructions);
+    this.setComputeBudget(transaction, MAX_COMPUTE_UNITS, priorityFee);
+    const { unitsConsumed } = await this.simulate(transaction);
+    const computeUnits = unitsConsumed
+      ? Math.min(MAX_COMPUTE_UNITS, Math.ceil(unitsConsumed * (100 + this.computeUnitMargin) / 100))
+      : MAX_COMPUTE_UNITS;
+    this.setComputeBudget(transaction, computeUnits, priorityFee);
+    timer?.mark('simulate');
+
+    transaction.partialSign(this.wallet);
+    const rawTransaction = transaction.serialize();
+    console.log(chalk.gray(`   Compute: ${computeUnits} CU @ ${priorityFee} µLamports/CU`));
+
+    const sentAt = Date.now();
+    let lastSentAt = sentAt;
+    const signature = await this.rpc.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+    timer?.mark('sent');
+    let sends = 1;
+
+    let readFailing = false;
+    const checkLanded = async () => {
+      let status;
+      try {
+        ({ value: [status] } = await this.connection.getSignatureStatuses([signature]));
+        readFailing = false;
+      } catch (error) {
+        // Says nothing about the transaction itself: keep waiting until it expires
+        if (!readFailing) console.log(chalk.yellow(`⚠️  Could not read transaction status, still waiting: ${error.message}`));
+        readFailing = true;
+        return STATUS_UNKNOWN;
+      }
+      if (status?.err) {
+        throw decodeSolanaFailure(status.err, [], this.failingProgram(transaction, status.err), 'landed');
+      }
+      if (status?.confirmationStatus !== 'confirmed' && status?.confirmationStatus !== 'finalized') return null;
+
+      const landing = { latencyMs: Date.now() - sentAt, sends, computeUnits, priorityFeeMicroLamports: priorityFee };
+      console.log(chalk.gray(`   ⚡ Landed in ${landing.latencyMs}ms after ${sends} send(s)`));
+      return { signature, landing };
+    };
+
+    try {
+      while (true) {
+        await sleep(this.statusPollMs);
+
+        const landed = await checkLanded();
+        if (landed && landed !== STATUS_UNKNOWN) return landed;
+        // Between rebroadcasts only the status is watched
+        if (Date.now() - lastSentAt < this.resendIntervalMs) continue;
+
+        if (await this.hasExpired(lastValidBlockHeight, sentAt)) {
+          // It may have landed between the two reads
+          const lastChance = await checkLanded();
+          if (lastChance && lastChance !== STATUS_UNKNOWN) return lastChance;
+          if (lastChance === STATUS_UNKNOWN && Date.now() - sentAt <= MAX_BLOCKHASH_AGE_MS) continue;
+          throw new Error(`Transaction ${signature} expired before confirmation (${sends} sends)`);
+        }
+
+        // Not seen yet: push the same signed bytes again
+        await this.rpc.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+        sends++;
+        lastSentAt = Date.now();
+      }
+    } catch (error) {
+      // Already broadcast: tell callers which signature they'd be retrying over
+      error.signature = signature;
+      throw error;
+    }
+  }
+}
@@ -1,22 +1,46 @@
 import { 
-  Connection, 
   PublicKey, 
   Keypair, 
   Transaction,
-  sendAndConfirmTransaction,
   LAMPORTS_PER_SOL,
   SystemProgram,
   VersionedTransaction
 } from '@solana/web3.js';
 import { 
   TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID,
-  getAssociatedTokenAddress,
-  createAssociatedTokenAccountInstruction
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  unpackAccount,
+  NATIVE_MINT
 } from '@solana/spl-token';
 import { mnemonicToSeedSync } from 'bip39';
 import { derivePath } from 'ed25519-hd-key';
 import chalk from 'chalk';
+import { PositionSizer } from './positionSizer.js';
+import { SlippagePolicy } from './slippage.js';
+import { PaperWallet } from './paperWallet.js';
+import { SolanaRpcPool } from './solanaRpcPool.js';
+import { SolanaTransactionSender } from './solanaSender.js';
+import { discoverVenues } from './venueDiscovery.js';
+import {
+  fetchBondingCurve,
+  getCurvePrice,
+  quoteBuy,
+  quoteSell,
+  createBuyInstruction,
+  createSellInstruction,
+  PUMP_FUN_TOKEN_DECIMALS
+} from './pumpFun.js';
+import {
+  findRaydiumPools,
+  loadRaydiumPool,
+  refreshRaydiumReserves,
+  quoteRaydiumSwap,
+  getRaydiumPrice,
+  buildRaydiumSwapTransaction
+} from './raydium.js';
 
 // Meteora SDK imports
 import DLMM from '@meteora-ag/dlmm';
@@ -26,20 +50,43 @@ import AmmImpl from '@meteora-ag/dynamic-amm-sdk';
 import pkg from '@coral-xyz/anchor';
 const { AnchorProvider, BN } = pkg;
 
+// A just-confirmed transaction can take a moment to be served by getParsedTransaction
+const FILL_FETCH_ATTEMPTS = 5;
+const FILL_RETRY_MS = 1000;
+
 export class SolanaTokenBuyer {
-  constructor(mnemonic, derivationPath = "m/44'/501'/0'/0'", rpcUrl = 'https://api.mainnet-beta.solana.com') {
-    this.connection = new Connection(rpcUrl, 'confirmed');
+  constructor(mnemonic, derivationPath = "m/44'/501'/0'/0'", rpcUrl = 'https://api.mainnet-beta.solana.com', options = {}) {
+    // RPC pool shared with the rest of the app (failover, optional broadcast), or our own on rpcUrl
+    this.rpc = options.rpcPool || new SolanaRpcPool([rpcUrl]);
+    this.connection = this.rpc.connection;
+    
+    // Dry-run mode simulates fills against a paper wallet instead of signing
+    this.dryRun = options.dryRun || false;
+    if (this.dryRun) {
+      this.paperWallet = new PaperWallet('SOL', options.paperBalance ?? 10);
+    }
     
-    // Generate wallet from mnemonic
-    const seed = mnemonicToSeedSync(mnemonic, "");
-    const derivedSeed = derivePath(derivationPath, seed.toString('hex')).key;
-    this.wallet = Keypair.fromSeed(derivedSeed);
+    // Generate wallet from mnemonic (dry-run without one uses a throwaway keypair)
+    if (mnemonic) {
+      const seed = mnemonicToSeedSync(mnemonic, "");
+      const derivedSeed = derivePath(derivationPath, seed.toString('hex')).key;
+      this.wallet = Keypair.fromSeed(derivedSeed);
+    } else if (this.dryRun) {
+      this.wallet = Keypair.generate();
+    } else {
+      throw new Error('Solana mnemonic is required');
+    }
     this.publicKey = this.wallet.publicKey;
     
-    console.log(chalk.gray(`🔑 Solana wallet: ${this.publicKey.toString()}`));
+    // Lands transactions with dynamic priority fees, simulated compute limits and resends
+    this.sender = new SolanaTransactionSender(this.rpc, this.wallet, options.sendOptions);
+    
+    console.log(chalk.gray(`🔑 Solana wallet: ${this.publicKey.toString()}${this.dryRun ? ' (paper trading)' : ''}`));
     
     // Native SOL token (for swaps)
     this.SOL_MINT = 'So11111111111111111111111111111111111111112';
+    // Jupiter API for simulated fills
+    this.JUPITER_API_URL = 'https://quote-api.jup.ag/v6';
     
     // Setup Anchor provider for Meteora
     this.provider = new AnchorProvider(
@@ -47,207 +94,410 @@ export class SolanaTokenBuyer {
       { publicKey: this.publicKey, signTransaction: async (tx) => { tx.partialSign(this.wallet); return tx; }, signAllTransactions: async (txs) => { txs.forEach(tx => tx.partialSign(this.wallet)); return txs; } },
       { commitment: 'confirmed' }
     );
+    
+    // Decides how much SOL each buy spends
+    this.positionSizer = options.positionSizer || new PositionSizer({ symbol: 'SOL' });
+    // Derives minimum outputs from fresh quotes
+    this.slippage = options.slippagePolicy || new SlippagePolicy();
+    // Optional pre-trade mint safety checks
+    this.rugChecker = options.rugChecker || null;
+    // Venues that haven't answered by then are left out of the buy
+    this.discoveryTimeoutMs = options.discoveryTimeoutMs ?? 3000;
   }
 
   async getBalance() {
+    if (this.dryRun) {
+      return this.paperWallet.getBalance();
+    }
     const balance = await this.connection.getBalance(this.publicKey);
     return balance / LAMPORTS_PER_SOL;
   }
 
-  async checkPumpFun(tokenAddress) {
-    try {
-      // Pump.fun API endpoint to check if token exists
-      const response = await fetch(`https://frontend-api.pump.fun/coins/${tokenAddress}`);
-      if (response.ok) {
-        const data = await response.json();
+  // Priority fee, compute budget and resend-until-expiry; returns { signature, landing }
+  async sendTransaction(transaction, options) {
+    return this.sender.send(transaction, options);
+  }
+
+  /**
+   * Exact fill of a landed transaction from its balance metadata: the wallet's change
+   * in `tokenMint` (raw units, over all of its token accounts) and in lamports, which
+   * includes network and priority fees and rent for accounts the transaction created.
+   * Null if the RPC still can't return the transaction (or keeps erroring) after a few tries.
+   */
+  async getFill(signature, tokenMint) {
+    const owner = this.publicKey.toBase58();
+    const mint = tokenMint.toString();
+    const tokenTotal = balances => (balances || [])
+      .filter(balance => balance.owner === owner && balance.mint === mint)
+      .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+
+    for (let attempt = 0; attempt < FILL_FETCH_ATTEMPTS; attempt++) {
+      // The trade has already landed: a failed read (e.g. rate limit) must not fail it
+      let transaction = null;
+      try {
+        transaction = await this.connection.getParsedTransaction(signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+      } catch (error) {
+        console.log(chalk.gray(`   Fill lookup failed (attempt ${attempt + 1}/${FILL_FETCH_ATTEMPTS}): ${error.message}`));
+      }
+      if (transaction?.meta) {
+        const { meta } = transaction;
+        const walletIndex = transaction.transaction.message.accountKeys.findIndex(key => key.pubkey.equals(this.publicKey));
         return {
-          exists: true,
-          data: {
-            name: data.name,
-            symbol: data.symbol,
-            marketCap: data.market_cap,
-            priceSOL: data.price_sol,
-            liquidity: data.virtual_sol_reserves
-          }
+          tokenChange: tokenTotal(meta.postTokenBalances) - tokenTotal(meta.preTokenBalances),
+          lamportsChange: BigInt(meta.postBalances[walletIndex] - meta.preBalances[walletIndex]),
+          feeLamports: meta.fee
         };
       }
-      return { exists: false };
+      await new Promise(resolve => setTimeout(resolve, FILL_RETRY_MS));
+    }
+    return null;
+  }
+
+  // Tokens received and SOL spent (fees and rent included) by a buy; the quote stands in if the fill can't be read
+  async getBuyFill(signature, tokenMint, expectedOut) {
+    const fill = await this.getFill(signature, tokenMint);
+    if (!fill) {
+      console.log(chalk.yellow('⚠️  Could not read the buy back from the chain, using the quoted output'));
+      return { actualOut: BigInt(expectedOut.toString()), nativeSpent: null };
+    }
+    const nativeSpent = Number(-fill.lamportsChange) / LAMPORTS_PER_SOL;
+    console.log(chalk.gray(`   SOL spent: ${nativeSpent} (incl. fees/rent)`));
+    return { actualOut: fill.tokenChange, nativeSpent };
+  }
+
+  // SOL that actually reached the wallet from a sell (net of fees), or the quote if the fill can't be read
+  async getSellProceeds(signature, tokenMint, expectedOut) {
+    const fill = await this.getFill(signature, tokenMint);
+    return Number(fill ? fill.lamportsChange : BigInt(expectedOut.toString())) / LAMPORTS_PER_SOL;
+  }
+
+  async getMintDecimals(tokenMint) {
+    const mintInfo = await this.connection.getParsedAccountInfo(new PublicKey(tokenMint));
+    const decimals = mintInfo.value?.data?.parsed?.info?.decimals;
+    if (decimals === undefined) {
+      throw new Error(`Could not read mint decimals for ${tokenMint}`);
+    }
+    return decimals;
+  }
+
+  // Jupiter quote output in raw units, or null when no route is available
+  async getJupiterQuote(inputMint, outputMint, amountRaw) {
+    try {
+      const response = await fetch(
+        `${this.JUPITER_API_URL}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amountRaw}&slippageBps=${this.slippage.getBps('jupiter')}`
+      );
+      if (!response.ok) return null;
+      const quote = await response.json();
+      return quote.outAmount ? BigInt(quote.outAmount) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Token accounts with a non-zero balance ({ mint, amount, uiAmountString })
+  async getTokenHoldings() {
+    if (this.dryRun) {
+      return this.paperWallet.getHoldings().map(([mint, amount]) => ({
+        mint,
+        amount: amount.toString(),
+        uiAmountString: `${amount} raw`
+      }));
+    }
+    
+    // Pump.fun and Raydium mints may live under either token program
+    const tokenAccounts = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(programId =>
+      this.connection.getParsedTokenAccountsByOwner(this.publicKey, { programId })
+    ));
+    
+    return tokenAccounts
+      .flatMap(result => result.value)
+      .map(accountInfo => {
+        const { mint, tokenAmount } = accountInfo.account.data.parsed.info;
+        return { mint, amount: tokenAmount.amount, uiAmountString: tokenAmount.uiAmountString };
+      })
+      .filter(holding => holding.mint !== this.SOL_MINT && BigInt(holding.amount) > 0n);
+  }
+
+  // Dry-run fill: quote the buy, record it on the paper wallet and return a buy-shaped result
+  async simulateBuy(tokenAddress, amountSOL, platform, priceHintSOL = null) {
+    try {
+      const amountInLamports = Math.round(amountSOL * LAMPORTS_PER_SOL);
+      const decimals = await this.getMintDecimals(tokenAddress);
+      
+      let expectedOut = await this.getJupiterQuote(this.SOL_MINT, tokenAddress, amountInLamports);
+      if (expectedOut === null && priceHintSOL) {
+        expectedOut = BigInt(Math.floor((amountSOL / priceHintSOL) * 10 ** decimals));
+      }
+      if (!expectedOut) {
+        return { success: false, error: 'Could not quote simulated fill' };
+      }
+      
+      this.paperWallet.recordBuy(tokenAddress, amountSOL, expectedOut);
+      const entryPrice = amountSOL / (Number(expectedOut) / 10 ** decimals);
+      
+      return {
+        success: true,
+        simulated: true,
+        signature: `paper-${Date.now()}`,
+        platform,
+        amount: amountSOL,
+        tokenReceived: expectedOut.toString(),
+        expectedOut: expectedOut.toString(),
+        minOut: this.slippage.minOutput(expectedOut, 'jupiter').toString(),
+        actualOut: expectedOut.toString(),
+        decimals,
+        entryPrice
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ Simulated purchase failed:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async simulateSell(tokenMint, tokenAmount) {
+    const expectedOut = await this.getJupiterQuote(tokenMint, this.SOL_MINT, tokenAmount);
+    if (expectedOut === null) {
+      return { success: false, error: 'Could not quote simulated sell' };
+    }
+    
+    const solReceived = Number(expectedOut) / LAMPORTS_PER_SOL;
+    this.paperWallet.recordSell(tokenMint, tokenAmount, solReceived);
+    
+    return {
+      success: true,
+      simulated: true,
+      signature: `paper-${Date.now()}`,
+      platform: 'Paper',
+      solReceived
+    };
+  }
+
+  // Raw balance of any mint we hold, whichever token program owns it (paper-aware)
+  async getTokenBalance(tokenMint) {
+    if (this.dryRun) {
+      return this.paperWallet.getHolding(tokenMint);
+    }
+    return await this.getTokenBalanceRaw(tokenMint, await this.getTokenProgramId(tokenMint));
+  }
+
+  // Raw token balance (base units) of our associated token account, 0n if it doesn't
+  // exist; RPC errors are thrown so a failed read is never mistaken for an empty wallet
+  async getTokenBalanceRaw(tokenMint, tokenProgram = TOKEN_PROGRAM_ID) {
+    const associatedTokenAccount = getAssociatedTokenAddressSync(
+      new PublicKey(tokenMint),
+      this.publicKey,
+      false,
+      tokenProgram
+    );
+    const account = await this.connection.getAccountInfo(associatedTokenAccount);
+    if (!account) {
+      return 0n;
+    }
+    return unpackAccount(associatedTokenAccount, account, tokenProgram).amount;
+  }
+
+  // Pump.fun discovery straight from the bonding curve account (no API round-trip)
+  async checkPumpFun(tokenAddress) {
+    try {
+      const curve = await fetchBondingCurve(this.connection, tokenAddress);
+      if (!curve) {
+        return { exists: false };
+      }
+      return {
+        exists: true,
+        complete: curve.complete,
+        curve,
+        data: {
+          priceSOL: getCurvePrice(curve),
+          liquidity: Number(curve.realSolReserves) / LAMPORTS_PER_SOL
+        }
+      };
     } catch (error) {
-      console.error(chalk.yellow('⚠️  Error checking Pump.fun:'), error);
+      console.error(chalk.yellow('⚠️  Error checking Pump.fun:'), error.message);
       return { exists: false };
     }
   }
 
+  // Token program that owns the mint (Pump.fun mints can be SPL Token or Token-2022)
+  async getTokenProgramId(tokenMint) {
+    const mintAccount = await this.connection.getAccountInfo(new PublicKey(tokenMint));
+    if (!mintAccount) {
+      throw new Error(`Mint ${tokenMint} not found`);
+    }
+    return mintAccount.owner;
+  }
+
+  // Resolve the deepest loadable Raydium SOL pool (AMM v4 or CPMM) for a mint
   async checkRaydium(tokenAddress) {
     try {
-      // Check Raydium pools
-      const response = await fetch('https://api.raydium.io/v2/main/pairs');
-      if (response.ok) {
-        const data = await response.json();
-        const pool = data.find(p => 
-          p.baseMint === tokenAddress || p.quoteMint === tokenAddress
-        );
-        
-        if (pool) {
+      const candidates = await findRaydiumPools(this.connection, tokenAddress);
+      
+      for (const candidate of candidates) {
+        try {
+          const pool = await loadRaydiumPool(this.connection, candidate);
+          const solReserve = pool.mintA.equals(NATIVE_MINT) ? pool.reserveA : pool.reserveB;
           return {
             exists: true,
+            pool: candidate,
+            state: pool,
             data: {
-              poolId: pool.ammId,
-              liquidity: pool.liquidity,
-              volume24h: pool.volume24h,
-              price: pool.price
+              poolId: candidate.id,
+              poolType: pool.type,
+              liquiditySOL: Number(solReserve) / LAMPORTS_PER_SOL,
+              priceSOL: getRaydiumPrice(pool, tokenAddress)
             }
           };
+        } catch (error) {
+          console.log(chalk.gray(`   Skipping Raydium pool ${candidate.id}: ${error.message}`));
         }
       }
       return { exists: false };
     } catch (error) {
-      console.error(chalk.yellow('⚠️  Error checking Raydium:'), error);
+      console.error(chalk.yellow('⚠️  Error checking Raydium:'), error.message);
       return { exists: false };
     }
   }
 
-  async buyOnPumpFun(tokenAddress, amountSOL) {
+  async buyOnPumpFun(tokenAddress, amountSOL, { timer } = {}) {
     try {
       console.log(chalk.blue(`🎯 Attempting to buy on Pump.fun...`));
       console.log(chalk.gray(`   Token: ${tokenAddress}`));
       console.log(chalk.gray(`   Amount: ${amountSOL} SOL`));
 
-      // Pump.fun bonding curve program
-      const PUMP_FUN_PROGRAM = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
-      
-      // Get token account
-      const tokenMint = new PublicKey(tokenAddress);
-      const associatedTokenAccount = await getAssociatedTokenAddress(
-        tokenMint,
-        this.publicKey
-      );
+      // Fresh curve state right before sending
+      const curve = await fetchBondingCurve(this.connection, tokenAddress);
+      if (!curve) {
+        return { success: false, error: 'Pump.fun bonding curve not found' };
+      }
+      if (curve.complete) {
+        return { success: false, migrated: true, error: 'Pump.fun bonding curve is complete (token migrated)' };
+      }
 
-      // Check if ATA exists, create if not
-      const ataInfo = await this.connection.getAccountInfo(associatedTokenAccount);
-      const transaction = new Transaction();
+      const tokenMint = new PublicKey(tokenAddress);
+      const tokenProgram = await this.getTokenProgramId(tokenMint);
+      const amountInLamports = BigInt(Math.round(amountSOL * LAMPORTS_PER_SOL));
       
-      if (!ataInfo) {
-        transaction.add(
-          createAssociatedTokenAccountInstruction(
-            this.publicKey,
-            associatedTokenAccount,
-            this.publicKey,
-            tokenMint
-          )
-        );
+      // The program buys an exact token amount and caps the SOL it may take; quote a
+      // smaller input so the cap (input + slippage) never exceeds the sized amount
+      const slippageBps = this.slippage.getBps('pumpfun');
+      const quotedIn = this.slippage.inputWithinBudget(amountInLamports, 'pumpfun');
+      const expectedOut = quoteBuy(curve, quotedIn);
+      const maxSolCost = this.slippage.maxInput(quotedIn, 'pumpfun');
+      if (expectedOut <= 0n) {
+        return { success: false, error: 'Pump.fun quote returned no tokens' };
       }
+      
+      console.log(chalk.gray(`   Expected: ${expectedOut} tokens (max cost ${Number(maxSolCost) / LAMPORTS_PER_SOL} SOL, ${slippageBps} bps)`));
 
-      // Create buy instruction for Pump.fun
-      // Note: This is a simplified version - actual implementation would need
-      // the specific Pump.fun swap instruction format
-      const buyInstruction = {
-        programId: PUMP_FUN_PROGRAM,
-        keys: [
-          { pubkey: this.publicKey, isSigner: true, isWritable: true },
-          { pubkey: tokenMint, isSigner: false, isWritable: false },
-          { pubkey: associatedTokenAccount, isSigner: false, isWritable: true },
-          { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-          { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-        ],
-        data: Buffer.from([
-          0x01, // Buy instruction
-          ...Buffer.from(new Uint8Array(new Float64Array([amountSOL * LAMPORTS_PER_SOL]).buffer))
-        ])
-      };
-
-      transaction.add(buyInstruction);
+      const associatedTokenAccount = getAssociatedTokenAddressSync(tokenMint, this.publicKey, false, tokenProgram);
       
-      // Send transaction
-      const signature = await sendAndConfirmTransaction(
-        this.connection,
-        transaction,
-        [this.wallet]
+      const transaction = new Transaction().add(
+        createAssociatedTokenAccountIdempotentInstruction(
+          this.publicKey,
+          associatedTokenAccount,
+          this.publicKey,
+          tokenMint,
+          tokenProgram
+        ),
+        createBuyInstruction({
+          curve,
+          mint: tokenMint,
+          user: this.publicKey,
+          tokenProgram,
+          tokenAmount: expectedOut,
+          maxSolCost
+        })
       );
+      
+      timer?.mark('build');
+      const { signature, landing } = await this.sendTransaction(transaction, { timer });
+      const { actualOut, nativeSpent } = await this.getBuyFill(signature, tokenMint, expectedOut);
 
       console.log(chalk.green(`✅ Purchase successful on Pump.fun!`));
       console.log(chalk.gray(`   Signature: ${signature}`));
+      console.log(chalk.gray(`   Tokens received: ${actualOut} (expected ${expectedOut})`));
       
       return {
         success: true,
         signature,
+        landing,
         platform: 'Pump.fun',
-        amount: amountSOL
+        amount: amountSOL,
+        nativeSpent,
+        expectedOut: expectedOut.toString(),
+        minOut: expectedOut.toString(),
+        maxSolCost: maxSolCost.toString(),
+        actualOut: actualOut.toString(),
+        decimals: PUMP_FUN_TOKEN_DECIMALS,
+        slippageBps,
+        timings: timer?.summary()
       };
     } catch (error) {
-      console.error(chalk.red('❌ Pump.fun purchase failed:'), error);
-      return { success: false, error: error.message };
+      console.error(chalk.red('❌ Pump.fun purchase failed:'), error.message);
+      return { success: false, error: error.message, failureReason: error.reason, signature: error.signature };
     }
   }
 
-  async buyOnRaydium(tokenAddress, amountSOL) {
+  // `pool` is the pool discovery already loaded: only its reserves are re-read here
+  async buyOnRaydium(tokenAddress, amountSOL, poolInfo, { timer, pool: discoveredPool } = {}) {
     try {
-      console.log(chalk.blue(`🎯 Attempting to buy on Raydium...`));
+      console.log(chalk.blue(`🎯 Attempting to buy on Raydium ${poolInfo.type}...`));
       console.log(chalk.gray(`   Token: ${tokenAddress}`));
       console.log(chalk.gray(`   Amount: ${amountSOL} SOL`));
+      console.log(chalk.gray(`   Pool: ${poolInfo.id}`));
 
-      // Raydium AMM program
-      const RAYDIUM_AMM_PROGRAM = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
-      
+      // Fresh reserves right before sending
+      const pool = discoveredPool
+        ? await refreshRaydiumReserves(this.connection, discoveredPool)
+        : await loadRaydiumPool(this.connection, poolInfo);
       const tokenMint = new PublicKey(tokenAddress);
-      const associatedTokenAccount = await getAssociatedTokenAddress(
-        tokenMint,
-        this.publicKey
-      );
-
-      // Check if ATA exists, create if not
-      const ataInfo = await this.connection.getAccountInfo(associatedTokenAccount);
-      const transaction = new Transaction();
+      const tokenProgram = pool.mintA.equals(tokenMint) ? pool.programA : pool.programB;
+      const amountInLamports = BigInt(Math.round(amountSOL * LAMPORTS_PER_SOL));
       
-      if (!ataInfo) {
-        transaction.add(
-          createAssociatedTokenAccountInstruction(
-            this.publicKey,
-            associatedTokenAccount,
-            this.publicKey,
-            tokenMint
-          )
-        );
+      const slippageBps = this.slippage.getBps('raydium');
+      const expectedOut = quoteRaydiumSwap(pool, NATIVE_MINT, amountInLamports);
+      const minOut = this.slippage.minOutput(expectedOut, 'raydium');
+      if (expectedOut <= 0n) {
+        return { success: false, error: 'Raydium quote returned no tokens' };
       }
+      
+      console.log(chalk.gray(`   Expected: ${expectedOut} tokens (min ${minOut}, ${slippageBps} bps)`));
 
-      // Create swap instruction for Raydium
-      // Note: This is a simplified version - actual implementation would need
-      // the specific Raydium swap instruction format and pool accounts
-      const swapInstruction = {
-        programId: RAYDIUM_AMM_PROGRAM,
-        keys: [
-          { pubkey: this.publicKey, isSigner: true, isWritable: true },
-          { pubkey: tokenMint, isSigner: false, isWritable: false },
-          { pubkey: associatedTokenAccount, isSigner: false, isWritable: true },
-          // Additional pool accounts would be needed here
-        ],
-        data: Buffer.from([
-          0x09, // Swap instruction
-          ...Buffer.from(new Uint8Array(new Float64Array([amountSOL * LAMPORTS_PER_SOL]).buffer))
-        ])
-      };
-
-      transaction.add(swapInstruction);
+      const transaction = buildRaydiumSwapTransaction({
+        pool,
+        owner: this.publicKey,
+        inputMint: NATIVE_MINT,
+        amountIn: amountInLamports,
+        minAmountOut: minOut
+      });
       
-      // Send transaction
-      const signature = await sendAndConfirmTransaction(
-        this.connection,
-        transaction,
-        [this.wallet]
-      );
+      timer?.mark('build');
+      const { signature, landing } = await this.sendTransaction(transaction, { timer });
+      const { actualOut, nativeSpent } = await this.getBuyFill(signature, tokenMint, expectedOut);
 
-      console.log(chalk.green(`✅ Purchase successful on Raydium!`));
+      console.log(chalk.green(`✅ Purchase successful on Raydium ${pool.type}!`));
       console.log(chalk.gray(`   Signature: ${signature}`));
+      console.log(chalk.gray(`   Tokens received: ${actualOut} (expected ${expectedOut})`));
       
       return {
         success: true,
         signature,
-        platform: 'Raydium',
-        amount: amountSOL
+        landing,
+        platform: `Raydium ${pool.type}`,
+        amount: amountSOL,
+        nativeSpent,
+        expectedOut: expectedOut.toString(),
+        minOut: minOut.toString(),
+        actualOut: actualOut.toString(),
+        slippageBps,
+        timings: timer?.summary()
       };
     } catch (error) {
-      console.error(chalk.red('❌ Raydium purchase failed:'), error);
-      return { success: false, error: error.message };
+      console.error(chalk.red('❌ Raydium purchase failed:'), error.message);
+      return { success: false, error: error.message, failureReason: error.reason, signature: error.signature };
     }
   }
 
@@ -276,6 +526,7 @@ export class SolanaTokenBuyer {
           return {
             exists: true,
             poolType: 'DLMM',
+            pool: dlmmPool,
             data: {
               poolAddress: poolAddress.toString(),
               tokenX: dlmmPool.tokenX,
@@ -318,147 +569,246 @@ export class SolanaTokenBuyer {
     }
   }
 
-  async buyOnMeteora(tokenAddress, amountSOL, poolInfo) {
+  async buyOnMeteora(tokenAddress, amountSOL, poolInfo, { timer } = {}) {
     try {
       console.log(chalk.blue(`🌟 Attempting to buy via Meteora ${poolInfo.poolType}...`));
       console.log(chalk.gray(`   Token: ${tokenAddress}`));
       console.log(chalk.gray(`   Amount: ${amountSOL} SOL`));
       console.log(chalk.gray(`   Pool: ${poolInfo.data.poolAddress}`));
 
-      const amountInLamports = amountSOL * LAMPORTS_PER_SOL;
+      const amountInLamports = Math.round(amountSOL * LAMPORTS_PER_SOL);
       const tokenMint = new PublicKey(tokenAddress);
       
+      const slippageBps = this.slippage.getBps('meteora');
+      // Fresh quote right before sending (reusing the pool discovery loaded, if any)
+      const quote = await this.quoteMeteora(poolInfo, tokenAddress, BigInt(amountInLamports), { refresh: true });
+      
       if (poolInfo.poolType === 'DLMM') {
         // Use DLMM SDK for swap
-        const poolAddress = new PublicKey(poolInfo.data.poolAddress);
-        const dlmmPool = await DLMM.create(this.connection, poolAddress);
+        const { dlmmPool, swapForY, swapQuote } = quote;
         
-        // Get bin arrays for swap
-        const swapYtoX = dlmmPool.tokenY.publicKey.equals(tokenMint); // If token is tokenY, swap Y to X
-        const binArrays = await dlmmPool.getBinArrayForSwap(swapYtoX);
-        
-        // Get swap quote
-        const swapQuote = await dlmmPool.swapQuote(
-          new BN(amountInLamports),
-          swapYtoX,
-          new BN(1), // min out amount (1 lamport)
-          binArrays
-        );
+        console.log(chalk.gray(`   Expected: ${swapQuote.outAmount.toString()} tokens (min ${swapQuote.minOutAmount.toString()}, ${slippageBps} bps)`));
         
         // Create swap transaction
         const swapTx = await dlmmPool.swap({
-          inToken: swapYtoX ? dlmmPool.tokenY.publicKey : dlmmPool.tokenX.publicKey,
+          inToken: swapForY ? dlmmPool.tokenX.publicKey : dlmmPool.tokenY.publicKey,
           binArraysPubkey: swapQuote.binArraysPubkey,
           inAmount: new BN(amountInLamports),
           lbPair: dlmmPool.pubkey,
           user: this.publicKey,
           minOutAmount: swapQuote.minOutAmount,
-          outToken: swapYtoX ? dlmmPool.tokenX.publicKey : dlmmPool.tokenY.publicKey,
+          outToken: swapForY ? dlmmPool.tokenY.publicKey : dlmmPool.tokenX.publicKey,
         });
         
-        // Sign and send transaction
-        swapTx.partialSign(this.wallet);
-        const signature = await this.connection.sendTransaction(swapTx);
-        await this.connection.confirmTransaction(signature, 'confirmed');
+        timer?.mark('build');
+        const { signature, landing } = await this.sendTransaction(swapTx, { timer });
+        const { actualOut, nativeSpent } = await this.getBuyFill(signature, tokenMint, swapQuote.outAmount);
         
         console.log(chalk.green(`✅ Purchase successful via Meteora DLMM!`));
         console.log(chalk.gray(`   Signature: ${signature}`));
+        console.log(chalk.gray(`   Tokens received: ${actualOut} (expected ${swapQuote.outAmount.toString()})`));
         
         return {
           success: true,
           signature,
+          landing,
           platform: 'Meteora DLMM',
           amount: amountSOL,
-          quote: swapQuote
+          nativeSpent,
+          expectedOut: swapQuote.outAmount.toString(),
+          minOut: swapQuote.minOutAmount.toString(),
+          actualOut: actualOut.toString(),
+          slippageBps,
+          timings: timer?.summary()
         };
         
       } else if (poolInfo.poolType === 'Dynamic AMM') {
         // Use Dynamic AMM SDK for swap
-        const poolAddress = new PublicKey(poolInfo.data.poolAddress);
-        const ammPool = await AmmImpl.create(this.connection, poolAddress);
+        const { ammPool, swapQuote } = quote;
+        const solMint = new PublicKey(this.SOL_MINT);
         
-        // Determine swap direction
-        const isAtoB = ammPool.tokenAMint.equals(new PublicKey(this.SOL_MINT));
-        
-        // Get swap quote
-        const swapQuote = await ammPool.getSwapQuote(
-          new BN(amountInLamports),
-          isAtoB
-        );
+        console.log(chalk.gray(`   Expected: ${swapQuote.swapOutAmount.toString()} tokens (min ${swapQuote.minSwapOutAmount.toString()}, ${slippageBps} bps)`));
         
         // Create swap transaction
         const swapTx = await ammPool.swap(
           this.publicKey,
-          isAtoB,
+          solMint,
           new BN(amountInLamports),
-          swapQuote.minOutAmount
+          swapQuote.minSwapOutAmount
         );
         
-        // Sign and send transaction
-        swapTx.partialSign(this.wallet);
-        const signature = await this.connection.sendTransaction(swapTx);
-        await this.connection.confirmTransaction(signature, 'confirmed');
+        timer?.mark('build');
+        const { signature, landing } = await this.sendTransaction(swapTx, { timer });
+        const { actualOut, nativeSpent } = await this.getBuyFill(signature, tokenMint, swapQuote.swapOutAmount);
         
         console.log(chalk.green(`✅ Purchase successful via Meteora Dynamic AMM!`));
         console.log(chalk.gray(`   Signature: ${signature}`));
+        console.log(chalk.gray(`   Tokens received: ${actualOut} (expected ${swapQuote.swapOutAmount.toString()})`));
         
         return {
           success: true,
           signature,
+          landing,
           platform: 'Meteora Dynamic AMM',
           amount: amountSOL,
-          quote: swapQuote
+          nativeSpent,
+          expectedOut: swapQuote.swapOutAmount.toString(),
+          minOut: swapQuote.minSwapOutAmount.toString(),
+          actualOut: actualOut.toString(),
+          slippageBps,
+          timings: timer?.summary()
         };
       }
       
     } catch (error) {
       console.error(chalk.red('❌ Meteora purchase failed:'), error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason, signature: error.signature };
+    }
+  }
+
+  /**
+   * Pump.fun, Meteora and Raydium looked up concurrently within discoveryTimeoutMs,
+   * each quoted for `amountSOL`; best quote first. A completed Pump.fun curve
+   * means the token migrated, so it only counts through its AMM pool. Each venue's
+   * `buy` reuses the pools loaded here to skip the lookups, but still re-reads the
+   * price state and re-quotes right before sending.
+   */
+  async discoverVenues(tokenAddress, amountSOL) {
+    const amountInLamports = BigInt(Math.round(amountSOL * LAMPORTS_PER_SOL));
+
+    return discoverVenues([
+      {
+        venue: 'Pump.fun',
+        check: async () => {
+          const pumpFunCheck = await this.checkPumpFun(tokenAddress);
+          if (!pumpFunCheck.exists) return null;
+          if (pumpFunCheck.complete) {
+            console.log(chalk.yellow('⚠️  Pump.fun bonding curve complete, looking for the migrated pool...'));
+            return null;
+          }
+          return {
+            platform: 'Pump.fun',
+            expectedOut: quoteBuy(pumpFunCheck.curve, this.slippage.inputWithinBudget(amountInLamports, 'pumpfun')),
+            priceSOL: pumpFunCheck.data.priceSOL,
+            buy: options => this.buyOnPumpFun(tokenAddress, amountSOL, options)
+          };
+        }
+      },
+      {
+        venue: 'Meteora',
+        check: async () => {
+          const meteoraCheck = await this.checkMeteora(tokenAddress);
+          if (!meteoraCheck.exists) return null;
+          const quote = await this.quoteMeteora(meteoraCheck, tokenAddress, amountInLamports);
+          const poolInfo = { ...meteoraCheck, pool: quote.dlmmPool ?? quote.ammPool };
+          return {
+            platform: `Meteora ${meteoraCheck.poolType}`,
+            expectedOut: quote.expectedOut,
+            buy: options => this.buyOnMeteora(tokenAddress, amountSOL, poolInfo, options)
+          };
+        }
+      },
+      {
+        venue: 'Raydium',
+        check: async () => {
+          const raydiumCheck = await this.checkRaydium(tokenAddress);
+          if (!raydiumCheck.exists) return null;
+          return {
+            platform: `Raydium ${raydiumCheck.data.poolType}`,
+            expectedOut: quoteRaydiumSwap(raydiumCheck.state, NATIVE_MINT, amountInLamports),
+            priceSOL: raydiumCheck.data.priceSOL,
+            buy: options => this.buyOnRaydium(tokenAddress, amountSOL, raydiumCheck.pool, { ...options, pool: raydiumCheck.state })
+          };
+        }
+      }
+    ], this.discoveryTimeoutMs);
+  }
+
+  /**
+   * Loaded Meteora pool and a quote for a SOL buy of `amountInLamports`, in the shape
+   * buyOnMeteora swaps from: { expectedOut, dlmmPool, swapForY, swapQuote } for DLMM,
+   * { expectedOut, ammPool, swapQuote } for Dynamic AMM. A pool already loaded
+   * (`poolInfo.pool`) is reused; with `refresh` its state is re-read before quoting.
+   */
+  async quoteMeteora(poolInfo, tokenAddress, amountInLamports, { refresh = false } = {}) {
+    const poolAddress = new PublicKey(poolInfo.data.poolAddress);
+    const slippageBps = this.slippage.getBps('meteora');
+    const amountIn = new BN(amountInLamports.toString());
+
+    if (poolInfo.poolType === 'DLMM') {
+      const dlmmPool = poolInfo.pool ?? await DLMM.create(this.connection, poolAddress);
+      if (poolInfo.pool && refresh) await dlmmPool.refetchStates();
+      // Buying tokenY means swapping X (SOL) for Y; min out is derived from the slippage tolerance
+      const swapForY = dlmmPool.tokenY.publicKey.equals(new PublicKey(tokenAddress));
+      const binArrays = await dlmmPool.getBinArrayForSwap(swapForY);
+      const swapQuote = dlmmPool.swapQuote(amountIn, swapForY, new BN(slippageBps), binArrays);
+      return { expectedOut: BigInt(swapQuote.outAmount.toString()), dlmmPool, swapForY, swapQuote };
     }
+
+    // SDK takes slippage as a percentage
+    const ammPool = poolInfo.pool ?? await AmmImpl.create(this.connection, poolAddress);
+    if (poolInfo.pool && refresh) await ammPool.updateState();
+    const swapQuote = ammPool.getSwapQuote(new PublicKey(this.SOL_MINT), amountIn, slippageBps / 100);
+    return { expectedOut: BigInt(swapQuote.swapOutAmount.toString()), ammPool, swapQuote };
   }
 
-  async buyToken(tokenAddress) {
+  async buyToken(tokenAddress, context = {}) {
+    const { timer } = context;
     try {
-      // Get current balance
+      // Token-level safety checks before committing funds (reuse the alert's result if given)
+      const rugCheck = context.rugCheck || (this.rugChecker ? await this.rugChecker.check(tokenAddress) : null);
+      if (rugCheck && !rugCheck.passed) {
+        console.log(chalk.red('🛑 Rug check blocked this buy:'));
+        rugCheck.reasons.forEach(reason => console.log(chalk.red(`   • ${reason}`)));
+        return { success: false, error: `Rug check failed: ${rugCheck.reasons.join('; ')}`, rugCheck };
+      }
+      if (rugCheck?.action === 'downsize') {
+        console.log(chalk.yellow(`⚠️  Rug check flagged this token, downsizing to ${rugCheck.sizeMultiplier * 100}%:`));
+        rugCheck.reasons.forEach(reason => console.log(chalk.yellow(`   • ${reason}`)));
+      }
+      
+      // Get current balance and size the position
       const balance = await this.getBalance();
-      const buyAmount = Math.floor(balance); // Integer SOL amount
+      const sizing = this.positionSizer.getBuyAmount(balance, {
+        ...context,
+        sizeMultiplier: rugCheck?.sizeMultiplier ?? 1
+      });
+      const buyAmount = sizing.amount;
       
-      if (buyAmount < 1) {
-        console.log(chalk.yellow(`⚠️  Insufficient balance: ${balance} SOL (need at least 1 SOL)`));
-        return { success: false, error: 'Insufficient balance' };
+      if (buyAmount <= 0) {
+        console.log(chalk.yellow(`⚠️  Skipping buy: ${sizing.reason}`));
+        return { success: false, error: `Insufficient balance: ${sizing.reason}` };
       }
 
       console.log(chalk.cyan(`💰 Wallet balance: ${balance.toFixed(4)} SOL`));
       console.log(chalk.cyan(`📊 Will buy with: ${buyAmount} SOL`));
+      console.log(chalk.gray(`   Sizing: ${sizing.reason}`));
 
-      // Check Pump.fun first
-      const pumpFunCheck = await this.checkPumpFun(tokenAddress);
-      if (pumpFunCheck.exists) {
-        console.log(chalk.green('✅ Token found on Pump.fun!'));
-        console.log(chalk.gray(`   Name: ${pumpFunCheck.data.name}`));
-        console.log(chalk.gray(`   Symbol: ${pumpFunCheck.data.symbol}`));
-        console.log(chalk.gray(`   Price: ${pumpFunCheck.data.priceSOL} SOL`));
-        
-        return await this.buyOnPumpFun(tokenAddress, buyAmount);
-      }
+      timer?.mark('sizing');
 
-      // Check Meteora
-      const meteoraCheck = await this.checkMeteora(tokenAddress);
-      if (meteoraCheck.exists) {
-        console.log(chalk.green(`✅ Token found on Meteora ${meteoraCheck.poolType}!`));
-        console.log(chalk.gray(`   Pool: ${meteoraCheck.data.poolAddress}`));
-        
-        return await this.buyOnMeteora(tokenAddress, buyAmount, meteoraCheck);
-      }
+      // Check every venue at once and quote the actual buy amount on each
+      const venues = await this.discoverVenues(tokenAddress, buyAmount);
+      timer?.mark('discovery');
 
-      // Check Raydium
-      const raydiumCheck = await this.checkRaydium(tokenAddress);
-      if (raydiumCheck.exists) {
-        console.log(chalk.green('✅ Token found on Raydium!'));
-        console.log(chalk.gray(`   Pool ID: ${raydiumCheck.data.poolId}`));
-        console.log(chalk.gray(`   Liquidity: $${raydiumCheck.data.liquidity}`));
+      if (venues.length > 0) {
+        venues.forEach(venue => console.log(chalk.gray(`   ${venue.platform}: ${venue.expectedOut ?? 'no quote'} tokens`)));
+        const best = venues[0];
+        console.log(chalk.green(`✅ Best venue: ${best.platform}`));
+        
+        if (this.dryRun) {
+          const simulated = await this.simulateBuy(tokenAddress, buyAmount, best.platform, best.priceSOL);
+          return { ...simulated, timings: timer?.summary() };
+        }
         
-        return await this.buyOnRaydium(tokenAddress, buyAmount);
+        // Next-best quote if a venue fails before sending; once a transaction went out
+        // (result carries its signature) another venue could double the position
+        let result;
+        for (const [index, venue] of venues.entries()) {
+          if (index > 0) console.log(chalk.yellow(`↪️  Trying next venue: ${venue.platform}`));
+          result = await venue.buy({ timer });
+          if (result.success || result.signature) return result;
+        }
+        return result;
       }
 
       console.log(chalk.yellow('⚠️  Token not found on supported DEXs'));
@@ -470,35 +820,27 @@ export class SolanaTokenBuyer {
     }
   }
 
-  // 모든 토큰을 SOL로 판매하는 기능
-  async sellAllTokensToSOL() {
+  // 토큰을 SOL로 판매하는 기능 (shouldSell로 판매 대상 토큰을 제한)
+  async sellAllTokensToSOL(shouldSell = () => true) {
     try {
       console.log(chalk.bgRed.white('🔥 SELLING ALL TOKENS TO SOL 🔥'));
       
-      // 지갑의 모든 토큰 계정 가져오기
-      const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(
-        this.publicKey,
-        { programId: TOKEN_PROGRAM_ID }
-      );
+      // 지갑의 모든 토큰 계정 중 판매 대상만 선택
+      const allHoldings = await this.getTokenHoldings();
+      const holdings = allHoldings.filter(holding => shouldSell(holding.mint));
+      if (holdings.length < allHoldings.length) {
+        console.log(chalk.gray(`   Skipping ${allHoldings.length - holdings.length} token(s) outside the sell scope`));
+      }
 
       const sellResults = [];
       let totalSOLReceived = 0;
 
-      for (const accountInfo of tokenAccounts.value) {
-        const tokenAmount = accountInfo.account.data.parsed.info.tokenAmount;
-        const mint = accountInfo.account.data.parsed.info.mint;
-        
-        // SOL은 건너뛰기
-        if (mint === this.SOL_MINT) continue;
-        
-        // 토큰 잔액이 0이면 건너뛰기
-        if (parseFloat(tokenAmount.amount) === 0) continue;
-
+      for (const { mint, amount, uiAmountString } of holdings) {
         console.log(chalk.yellow(`🔄 Selling token: ${mint}`));
-        console.log(chalk.gray(`   Balance: ${tokenAmount.uiAmountString} tokens`));
+        console.log(chalk.gray(`   Balance: ${uiAmountString} tokens`));
 
-        const sellResult = await this.sellSingleToken(mint, tokenAmount.amount);
-        sellResults.push(sellResult);
+        const sellResult = await this.sellSingleToken(mint, amount);
+        sellResults.push({ tokenAddress: mint, ...sellResult });
         
         if (sellResult.success) {
           totalSOLReceived += sellResult.solReceived || 0;
@@ -527,9 +869,17 @@ export class SolanaTokenBuyer {
 
   async sellSingleToken(tokenMint, tokenAmount) {
     try {
-      const tokenMintPubkey = new PublicKey(tokenMint);
+      if (this.dryRun) {
+        return await this.simulateSell(tokenMint, tokenAmount);
+      }
       
-      // Meteora에서 먼저 판매 시도
+      // 본딩 커브가 진행 중이면 Pump.fun에서 먼저 판매
+      const pumpFunResult = await this.sellOnPumpFun(tokenMint, tokenAmount);
+      if (pumpFunResult.success) {
+        return pumpFunResult;
+      }
+
+      // Meteora에서 판매 시도
       const meteoraResult = await this.sellOnMeteora(tokenMint, tokenAmount);
       if (meteoraResult.success) {
         return meteoraResult;
@@ -541,12 +891,6 @@ export class SolanaTokenBuyer {
         return raydiumResult;
       }
 
-      // Pump.fun에서 판매 시도
-      const pumpFunResult = await this.sellOnPumpFun(tokenMint, tokenAmount);
-      if (pumpFunResult.success) {
-        return pumpFunResult;
-      }
-
       return { success: false, error: 'No compatible DEX found for selling' };
     } catch (error) {
       return { success: false, error: error.message };
@@ -568,36 +912,38 @@ export class SolanaTokenBuyer {
         if (poolAddress) {
           const dlmmPool = await DLMM.create(this.connection, poolAddress);
           
-          // 토큰을 SOL로 스왑
-          const swapYtoX = dlmmPool.tokenY.publicKey.equals(tokenMintPubkey);
-          const swapQuote = await dlmmPool.swapQuote(
+          // 토큰을 SOL로 스왑 (selling tokenX means swapping X for Y)
+          const swapForY = dlmmPool.tokenX.publicKey.equals(tokenMintPubkey);
+          const binArrays = await dlmmPool.getBinArrayForSwap(swapForY);
+          const swapQuote = dlmmPool.swapQuote(
             new BN(tokenAmount),
-            swapYtoX,
-            new BN(0.01 * LAMPORTS_PER_SOL), // 최소 0.01 SOL
-            new BN(Date.now() + 20000)
+            swapForY,
+            new BN(this.slippage.getBps('meteora')),
+            binArrays
           );
 
           const swapTx = await dlmmPool.swap({
-            inToken: swapYtoX ? dlmmPool.tokenY.publicKey : dlmmPool.tokenX.publicKey,
+            inToken: swapForY ? dlmmPool.tokenX.publicKey : dlmmPool.tokenY.publicKey,
             binArraysPubkey: swapQuote.binArraysPubkey,
             inAmount: new BN(tokenAmount),
             lbPair: dlmmPool.pubkey,
             user: this.publicKey,
             minOutAmount: swapQuote.minOutAmount,
-            outToken: swapYtoX ? dlmmPool.tokenX.publicKey : dlmmPool.tokenY.publicKey,
+            outToken: swapForY ? dlmmPool.tokenY.publicKey : dlmmPool.tokenX.publicKey,
           });
 
-          swapTx.partialSign(this.wallet);
-          const signature = await this.connection.sendTransaction(swapTx);
-          await this.connection.confirmTransaction(signature, 'confirmed');
+          const { signature, landing } = await this.sendTransaction(swapTx);
 
-          const solReceived = parseFloat(swapQuote.outAmount.toString()) / LAMPORTS_PER_SOL;
+          const solReceived = await this.getSellProceeds(signature, tokenMintPubkey, swapQuote.outAmount);
           
           return {
             success: true,
             signature,
+            landing,
             platform: 'Meteora DLMM',
-            solReceived
+            solReceived,
+            expectedOut: swapQuote.outAmount.toString(),
+            minOut: swapQuote.minOutAmount.toString()
           };
         }
       } catch (dlmmError) {
@@ -613,57 +959,121 @@ export class SolanaTokenBuyer {
       
       if (targetPool) {
         const ammPool = await AmmImpl.create(this.connection, targetPool.address);
-        const isAtoB = ammPool.tokenAMint.equals(tokenMintPubkey);
         
-        const swapQuote = await ammPool.getSwapQuote(
+        // Fresh quote right before sending (SDK takes slippage as a percentage)
+        const swapQuote = ammPool.getSwapQuote(
+          tokenMintPubkey,
           new BN(tokenAmount),
-          isAtoB
+          this.slippage.getBps('meteora') / 100
         );
         
         const swapTx = await ammPool.swap(
           this.publicKey,
-          isAtoB,
+          tokenMintPubkey,
           new BN(tokenAmount),
-          swapQuote.minOutAmount
+          swapQuote.minSwapOutAmount
         );
         
-        swapTx.partialSign(this.wallet);
-        const signature = await this.connection.sendTransaction(swapTx);
-        await this.connection.confirmTransaction(signature, 'confirmed');
+        const { signature, landing } = await this.sendTransaction(swapTx);
         
-        const solReceived = parseFloat(swapQuote.outAmount.toString()) / LAMPORTS_PER_SOL;
+        const solReceived = await this.getSellProceeds(signature, tokenMintPubkey, swapQuote.swapOutAmount);
         
         return {
           success: true,
           signature,
+          landing,
           platform: 'Meteora Dynamic AMM',
-          solReceived
+          solReceived,
+          expectedOut: swapQuote.swapOutAmount.toString(),
+          minOut: swapQuote.minSwapOutAmount.toString()
         };
       }
 
       return { success: false, error: 'No Meteora pools found' };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason };
     }
   }
 
   async sellOnRaydium(tokenMint, tokenAmount) {
     try {
-      // Raydium 판매 로직 (간소화된 버전)
-      console.log(chalk.gray('   Attempting Raydium sell...'));
-      return { success: false, error: 'Raydium sell not implemented yet' };
+      const raydiumCheck = await this.checkRaydium(tokenMint);
+      if (!raydiumCheck.exists) {
+        return { success: false, error: 'No Raydium pools found' };
+      }
+
+      console.log(chalk.gray(`   Attempting Raydium ${raydiumCheck.data.poolType} sell...`));
+
+      const pool = await loadRaydiumPool(this.connection, raydiumCheck.pool);
+      const expectedOut = quoteRaydiumSwap(pool, tokenMint, tokenAmount);
+      const minOut = this.slippage.minOutput(expectedOut, 'raydium');
+
+      const transaction = buildRaydiumSwapTransaction({
+        pool,
+        owner: this.publicKey,
+        inputMint: tokenMint,
+        amountIn: BigInt(tokenAmount),
+        minAmountOut: minOut
+      });
+
+      const { signature, landing } = await this.sendTransaction(transaction);
+
+      return {
+        success: true,
+        signature,
+        landing,
+        platform: `Raydium ${pool.type}`,
+        solReceived: await this.getSellProceeds(signature, tokenMint, expectedOut),
+        expectedOut: expectedOut.toString(),
+        minOut: minOut.toString()
+      };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason };
     }
   }
 
   async sellOnPumpFun(tokenMint, tokenAmount) {
     try {
-      // Pump.fun 판매 로직 (간소화된 버전)
+      const curve = await fetchBondingCurve(this.connection, tokenMint);
+      if (!curve) {
+        return { success: false, error: 'Not a Pump.fun token' };
+      }
+      if (curve.complete) {
+        return { success: false, migrated: true, error: 'Pump.fun bonding curve is complete (token migrated)' };
+      }
+
       console.log(chalk.gray('   Attempting Pump.fun sell...'));
-      return { success: false, error: 'Pump.fun sell not implemented yet' };
+
+      const mint = new PublicKey(tokenMint);
+      const tokenProgram = await this.getTokenProgramId(mint);
+      const amount = BigInt(tokenAmount);
+      const expectedOut = quoteSell(curve, amount);
+      const minOut = this.slippage.minOutput(expectedOut, 'pumpfun');
+
+      const transaction = new Transaction().add(
+        createSellInstruction({
+          curve,
+          mint,
+          user: this.publicKey,
+          tokenProgram,
+          tokenAmount: amount,
+          minSolOutput: minOut
+        })
+      );
+
+      const { signature, landing } = await this.sendTransaction(transaction);
+
+      return {
+        success: true,
+        signature,
+        landing,
+        platform: 'Pump.fun',
+        solReceived: await this.getSellProceeds(signature, mint, expectedOut),
+        expectedOut: expectedOut.toString(),
+        minOut: minOut.toString()
+      };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, failureReason: error.reason };
     }
   }
-}
\ No newline at end of file
+}
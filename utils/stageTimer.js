@@ -0,0 +1,34 @@
+/**
+ * Wall-clock timings for the buy hot path, from the moment a tweet is seen until
+ * the transaction is sent. Each mark records the time since the previous mark, so
+ * the breakdown shows where the latency goes.
+ */
+export class StageTimer {
+  constructor(startedAt = Date.now()) {
+    this.startedAt = startedAt;
+    this.lastMarkAt = startedAt;
+    this.stages = [];
+  }
+
+  mark(stage) {
+    const now = Date.now();
+    this.stages.push({ stage, ms: now - this.lastMarkAt });
+    this.lastMarkAt = now;
+  }
+
+  // Independent copy for one of several buys triggered by the same tweet
+  fork() {
+    const timer = new StageTimer(this.startedAt);
+    timer.lastMarkAt = this.lastMarkAt;
+    timer.stages = [...this.stages];
+    return timer;
+  }
+
+  // { totalMs, stages: { [stage]: ms } } up to the last mark
+  summary() {
+    return {
+      totalMs: this.lastMarkAt - this.startedAt,
+      stages: Object.fromEntries(this.stages.map(({ stage, ms }) => [stage, ms]))
+    };
+  }
+}
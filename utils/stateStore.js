@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+// BigInt values (token amounts) are stored as strings
+const jsonReplacer = (key, value) => typeof value === 'bigint' ? value.toString() : value;
+
+/**
+ * Append-only JSON lines store for processed tweets, positions, sells and fills.
+ * Every change is one line; state is rebuilt by replaying the file on startup.
+ */
+export class StateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  append(type, data) {
+    const record = { type, time: new Date().toISOString(), ...data };
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record, jsonReplacer) + '\n');
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to persist ${type}:`), error.message);
+    }
+  }
+
+  recordProcessedTweet(tweetId) {
+    this.append('tweet', { tweetId });
+  }
+
+  recordPurchase(purchase) {
+    this.append('purchase', { purchase });
+  }
+
+  recordSell(sell) {
+    this.append('sell', sell);
+  }
+
+  // Partial sell: new size of a still-open position
+  recordPositionUpdate(purchaseId, changes) {
+    this.append('position', { purchaseId, changes });
+  }
+
+  recordFill(fill) {
+    this.append('fill', fill);
+  }
+
+  /**
+   * Replay the log into { processedTweetIds, purchases, fills }.
+   * Purchases closed by a later sell record are dropped; partial sells resize them.
+   */
+  load() {
+    const state = {
+      processedTweetIds: new Set(),
+      purchases: [],
+      fills: []
+    };
+
+    if (!fs.existsSync(this.filePath)) {
+      return state;
+    }
+
+    const openPurchases = new Map();
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A crash mid-write can leave a truncated last line
+        console.log(chalk.yellow(`⚠️  Skipping corrupt state record in ${this.filePath}`));
+        continue;
+      }
+
+      switch (record.type) {
+        case 'tweet':
+          state.processedTweetIds.add(record.tweetId);
+          break;
+        case 'purchase':
+          openPurchases.set(record.purchase.id, record.purchase);
+          break;
+        case 'sell':
+          (record.purchaseIds || []).forEach(id => openPurchases.delete(id));
+          break;
+        case 'position':
+          if (openPurchases.has(record.purchaseId)) {
+            Object.assign(openPurchases.get(record.purchaseId), record.changes);
+          }
+          break;
+        case 'fill':
+          state.fills.push(record);
+          break;
+      }
+    }
+
+    state.purchases = [...openPurchases.values()];
+    return state;
+  }
+}
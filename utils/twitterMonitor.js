@@ -1,38 +1,149 @@
 import { Scraper } from '@the-convocation/twitter-scraper';
 import chalk from 'chalk';
 import open from 'open';
-import { AddressDetector } from './addressDetector.js';
+import { AddressDetector, parseKeywordRules } from './addressDetector.js';
 import { SolanaTokenBuyer } from './solanaTokenBuyer.js';
 import { BSCTokenBuyer } from './bscTokenBuyer.js';
 import { ProfitTracker } from './profitTracker.js';
+import { ExitManager } from './exitManager.js';
+import { PositionSizer } from './positionSizer.js';
+import { SlippagePolicy } from './slippage.js';
+import { StateStore } from './stateStore.js';
+import { SolanaRugChecker } from './solanaRugCheck.js';
+import { createChainClients } from './chainClients.js';
+import { StageTimer } from './stageTimer.js';
 
 export class TwitterMonitor {
   constructor(config) {
     this.config = config;
     this.scraper = new Scraper();
-    this.detector = new AddressDetector();
+    this.detector = new AddressDetector({
+      keywordRules: parseKeywordRules(config.watchKeywords)
+    });
     this.lastTweetId = null;
     this.isRunning = false;
     this.processedTweets = new Set();
+    // Chain awaiting "y" after "S"/"B" (sell everything)
+    this.pendingSellEverything = null;
+    // Digits typed so far for a "<index> [percent]" position sell
+    this.inputBuffer = '';
+    
+    // Persisted state (processed tweets, positions) is replayed in startMonitoring
+    this.store = new StateStore(config.stateFile);
+    
+    // Automatic take-profit / stop-loss / trailing-stop / max-hold exits
+    if (config.autoExitEnabled) {
+      this.exitManager = new ExitManager(
+        config.exitRules,
+        (position, percent, reason) => this.sellPosition(position, percent, reason),
+        { store: this.store }
+      );
+    }
+    
+    // One client set per chain on the configured RPCs (with failover), shared by buyers, checks and the tracker
+    this.chainClients = createChainClients(config);
     
     // Initialize profit tracker
-    this.profitTracker = new ProfitTracker();
+    this.profitTracker = new ProfitTracker({
+      store: this.store,
+      exitManager: this.exitManager,
+      solanaConnection: this.chainClients.solanaConnection,
+      bscPublicClient: this.chainClients.bscPublicClient,
+      refreshMs: config.profitRefreshMs,
+      maxRefreshMs: config.profitMaxRefreshMs
+    });
+    
+    // Solana mint safety checks run on every detected address (alerts and buys)
+    if (config.rugCheckEnabled) {
+      this.rugChecker = new SolanaRugChecker(
+        this.chainClients.solanaConnection,
+        config.rugCheckRules
+      );
+    }
+    
+    // Dry-run exercises the same buy pipeline with simulated fills
+    this.tradingEnabled = config.autoBuyEnabled || config.dryRun;
     
     // Initialize token buyers if auto-buy is enabled
-    if (config.autoBuyEnabled) {
-      if (config.solanaMnemonic) {
+    if (this.tradingEnabled) {
+      if (config.solanaMnemonic || config.dryRun) {
         this.solanaBuyer = new SolanaTokenBuyer(
           config.solanaMnemonic, 
           config.solanaDerivationPath, 
-          config.solanaRpcUrl
+          config.solanaRpcUrl,
+          {
+            positionSizer: new PositionSizer({
+              strategy: config.buySizingStrategy,
+              symbol: 'SOL',
+              maxAmount: config.maxBuyAmountSol,
+              minAmount: config.minBuyAmountSol,
+              reserve: config.solReserve,
+              fixedAmount: config.fixedBuyAmountSol,
+              percentOfBalance: config.buyPercentOfBalance
+            }),
+            slippagePolicy: new SlippagePolicy({
+              defaultBps: config.solanaSlippageBps,
+              venueBps: config.venueSlippageBps
+            }),
+            rugChecker: this.rugChecker,
+            discoveryTimeoutMs: config.venueDiscoveryTimeoutMs,
+            rpcPool: this.chainClients.solanaRpc,
+            sendOptions: {
+              priorityFeePercentile: config.priorityFeePercentile,
+              minPriorityFeeMicroLamports: config.minPriorityFeeMicroLamports,
+              maxPriorityFeeMicroLamports: config.maxPriorityFeeMicroLamports,
+              computeUnitMarginPercent: config.computeUnitMarginPercent,
+              resendIntervalMs: config.txResendIntervalMs,
+              statusPollMs: config.txStatusPollMs
+            },
+            dryRun: config.dryRun,
+            paperBalance: config.paperBalanceSol
+          }
         );
         console.log(chalk.green('✅ Solana auto-buy enabled'));
       }
-      if (config.bscMnemonic) {
+      if (config.bscMnemonic || config.dryRun) {
         this.bscBuyer = new BSCTokenBuyer(
           config.bscMnemonic, 
           config.bscDerivationPath, 
-          config.bscRpcUrl
+          config.bscRpcUrl,
+          {
+            gas: {
+              strategy: config.bscGasStrategy,
+              fixedGwei: config.bscGasGwei,
+              percentile: config.bscGasPercentile,
+              blocks: config.bscGasBlocks,
+              snipeBumpPercent: config.bscSnipeGasBumpPercent,
+              maxGwei: config.bscMaxGasGwei,
+              speedUpPercent: config.bscSpeedUpPercent,
+              stuckAfterMs: config.bscStuckTxMs,
+              maxSpeedUps: config.bscMaxSpeedUps,
+              confirmations: config.bscConfirmations
+            },
+            positionSizer: new PositionSizer({
+              strategy: config.buySizingStrategy,
+              symbol: 'BNB',
+              maxAmount: config.maxBuyAmountBnb,
+              minAmount: config.minBuyAmountBnb,
+              reserve: config.bnbReserve,
+              fixedAmount: config.fixedBuyAmountBnb,
+              percentOfBalance: config.buyPercentOfBalance
+            }),
+            slippagePolicy: new SlippagePolicy({
+              defaultBps: config.bscSlippageBps,
+              venueBps: config.venueSlippageBps
+            }),
+            honeypotRules: config.honeypotCheckEnabled
+              ? { maxBuyTaxPercent: config.maxBuyTaxPercent, maxSellTaxPercent: config.maxSellTaxPercent }
+              : null,
+            holdings: { cacheFile: config.bscHoldingsFile, scanBlocks: config.bscHoldingsScanBlocks },
+            discoveryTimeoutMs: config.venueDiscoveryTimeoutMs,
+            publicClient: this.chainClients.bscPublicClient,
+            transport: this.chainClients.bscTransport,
+            broadcastClients: this.chainClients.bscBroadcastClients,
+            dryRun: config.dryRun,
+            paperBalance: config.paperBalanceBnb
+          }
         );
         console.log(chalk.green('✅ BSC auto-buy enabled'));
       }
@@ -52,19 +163,23 @@ export class TwitterMonitor {
       
       console.log(chalk.green('✅ Successfully logged into Twitter'));
       
-      // Test by fetching target user info
-      try {
-        const profile = await this.scraper.getProfile(this.config.targetUsername);
-        if (!profile) {
-          throw new Error(`Profile @${this.config.targetUsername} not found`);
+      // Test by fetching each target's user info
+      let foundTargets = 0;
+      for (const target of this.config.targets) {
+        try {
+          const profile = await this.scraper.getProfile(target.username);
+          if (!profile) {
+            throw new Error(`Profile @${target.username} not found`);
+          }
+          console.log(chalk.green(`✅ Found target user: @${target.username} (${profile.name}) [${target.mode}, ${target.chains.join('/')}]`));
+          foundTargets++;
+        } catch (profileError) {
+          console.error(chalk.red(`❌ Could not find user @${target.username}`));
         }
-        console.log(chalk.green(`✅ Found target user: @${this.config.targetUsername} (${profile.name})`));
-        return true;
-      } catch (profileError) {
-        console.error(chalk.red(`❌ Could not find user @${this.config.targetUsername}`));
-        return false;
       }
       
+      return foundTargets > 0;
+      
     } catch (error) {
       console.error(chalk.red('❌ Failed to login to Twitter:'), error.message);
       console.log(chalk.yellow('ℹ️  Make sure your Twitter credentials are correct'));
@@ -73,13 +188,13 @@ export class TwitterMonitor {
     }
   }
 
-  async fetchLatestTweets() {
+  async fetchLatestTweets(username) {
     try {
-      console.log(chalk.gray(`📡 Fetching tweets from @${this.config.targetUsername}...`));
+      console.log(chalk.gray(`📡 Fetching tweets from @${username}...`));
       
       // Get tweets from the target user
       const tweets = [];
-      const tweetIterator = this.scraper.getTweets(this.config.targetUsername, 5);
+      const tweetIterator = this.scraper.getTweets(username, 5);
       
       for await (const tweet of tweetIterator) {
         tweets.push(tweet);
@@ -105,32 +220,72 @@ export class TwitterMonitor {
     }
   }
 
-  async processTweet(tweet) {
+  // Per-target keyword requirement: the tweet must mention at least one of them
+  meetsKeywordRequirements(text, target) {
+    if (target.requiredKeywords.length === 0) return true;
+    
+    const lowerText = text.toLowerCase();
+    return target.requiredKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()));
+  }
+
+  // Keyword score threshold: per-target value wins over the global MIN_KEYWORD_SCORE
+  meetsKeywordScore(analysis, target) {
+    const threshold = target.minKeywordScore ?? this.config.minKeywordScore;
+    if (threshold === null || threshold === undefined) return true;
+    
+    return analysis.keywordScore >= threshold;
+  }
+
+  async processTweet(tweet, target) {
     // Skip if already processed
     if (this.processedTweets.has(tweet.id)) {
       return null;
     }
     
+    // Buy latency is measured from here (tweet seen) to the transaction being sent
+    const timer = new StageTimer();
+    
     this.processedTweets.add(tweet.id);
+    this.store.recordProcessedTweet(tweet.id);
     
     // Analyze tweet content
     const analysis = this.detector.analyzeTweet(tweet.text || '');
+    timer.mark('analysis');
     
     if (analysis.hasCryptoContent) {
       const result = {
         id: tweet.id,
-        username: tweet.username || this.config.targetUsername,
+        username: tweet.username || target.username,
+        target: target.username,
         text: tweet.text,
-        url: `https://twitter.com/${tweet.username || this.config.targetUsername}/status/${tweet.id}`,
+        url: `https://twitter.com/${tweet.username || target.username}/status/${tweet.id}`,
         timestamp: tweet.timeParsed || new Date().toISOString(),
         analysis
       };
       
+      // Rug check results are shown in the alert, sent with the webhook and reused by the buyer
+      if (this.rugChecker && analysis.solanaAddresses.length > 0) {
+        result.rugChecks = {};
+        for (const address of analysis.solanaAddresses) {
+          result.rugChecks[address] = await this.rugChecker.check(address);
+        }
+        timer.mark('rug-check');
+      }
+      
       this.displayAlert(result);
+      timer.mark('alert');
       
-      // Auto-buy tokens if enabled
-      if (this.config.autoBuyEnabled) {
-        await this.autoBuyTokens(result);
+      // Auto-buy tokens if enabled (simulated in dry-run) and the target's rules allow it
+      if (this.tradingEnabled) {
+        if (target.mode === 'alert-only') {
+          console.log(chalk.gray(`ℹ️  @${target.username} is alert-only, skipping auto-buy`));
+        } else if (!this.meetsKeywordScore(analysis, target)) {
+          console.log(chalk.gray(`ℹ️  Keyword score ${analysis.keywordScore} is below ${target.minKeywordScore ?? this.config.minKeywordScore}, skipping auto-buy`));
+        } else if (!this.meetsKeywordRequirements(tweet.text || '', target)) {
+          console.log(chalk.gray(`ℹ️  Tweet lacks required keywords for @${target.username} (${target.requiredKeywords.join(', ')}), skipping auto-buy`));
+        } else {
+          await this.autoBuyTokens(result, target, timer);
+        }
       }
       
       return result;
@@ -139,35 +294,59 @@ export class TwitterMonitor {
     return null;
   }
 
-  async autoBuyTokens(result) {
-    const { solanaAddresses, bscAddresses } = result.analysis;
+  async autoBuyTokens(result, target, timer = new StageTimer()) {
+    const { solanaAddresses, bscAddresses, confidence } = result.analysis;
     
     // Buy Solana tokens
-    if (solanaAddresses.length > 0 && this.solanaBuyer) {
+    if (solanaAddresses.length > 0 && this.solanaBuyer && target.chains.includes('solana')) {
       for (const address of solanaAddresses) {
         console.log(chalk.bgMagenta.white('\n 🚀 AUTO-BUYING SOLANA TOKEN '));
         console.log(chalk.white(`   Address: ${address}`));
         try {
-          const buyResult = await this.solanaBuyer.buyToken(address);
+          const buyResult = await this.solanaBuyer.buyToken(address, {
+            timer: timer.fork(),
+            confidence,
+            rugCheck: result.rugChecks?.[address],
+            buyAmount: target.buyAmountSol ?? undefined
+          });
           if (buyResult.success) {
-            console.log(chalk.green('✅ Solana token purchase successful!'));
+            console.log(chalk.green(`✅ Solana token purchase successful!${buyResult.simulated ? ' (simulated)' : ''}`));
             console.log(chalk.gray(`   Platform: ${buyResult.platform}`));
             console.log(chalk.gray(`   Amount: ${buyResult.amount} SOL`));
+            if (buyResult.expectedOut) {
+              console.log(chalk.gray(`   Output: ${buyResult.actualOut} (expected ${buyResult.expectedOut}, min ${buyResult.minOut})`));
+            }
             console.log(chalk.gray(`   Signature: ${buyResult.signature}`));
+            if (buyResult.landing) {
+              console.log(chalk.gray(`   Landed in ${buyResult.landing.latencyMs}ms (${buyResult.landing.sends} send(s), ${buyResult.landing.priorityFeeMicroLamports} µLamports/CU)`));
+            }
+            this.logTimings(buyResult);
+            
+            this.recordBuyFill('solana', address, buyResult);
             
             // Add to profit tracker
             this.profitTracker.addPurchase({
               chain: 'solana',
               tokenAddress: address,
+              target: target.username,
               platform: buyResult.platform,
-              amount: buyResult.amount,
+              // Exact fill from the transaction: SOL spent incl. fees/rent, tokens received
+              amount: buyResult.nativeSpent ?? buyResult.amount,
               signature: buyResult.signature,
-              tokensReceived: buyResult.quote?.outAmount || buyResult.tokenReceived
+              tokensReceived: buyResult.actualOut,
+              expectedOut: buyResult.expectedOut,
+              entryPrice: buyResult.entryPrice,
+              exitRules: this.exitManager?.rulesFor(target.exitRules || {}),
+              simulated: buyResult.simulated || false
             });
             
           } else {
             console.log(chalk.yellow(`⚠️  Solana purchase failed: ${buyResult.error}`));
+            if (buyResult.failureReason) {
+              console.log(chalk.gray(`   Reason: ${buyResult.failureReason}`));
+            }
           }
+          this.recordBuyOutcome(result, 'solana', address, buyResult);
         } catch (error) {
           console.error(chalk.red('❌ Solana auto-buy error:'), error.message);
         }
@@ -175,31 +354,51 @@ export class TwitterMonitor {
     }
     
     // Buy BSC tokens
-    if (bscAddresses.length > 0 && this.bscBuyer) {
+    if (bscAddresses.length > 0 && this.bscBuyer && target.chains.includes('bsc')) {
       for (const address of bscAddresses) {
         console.log(chalk.bgYellow.black('\n 🚀 AUTO-BUYING BSC TOKEN '));
         console.log(chalk.white(`   Address: ${address}`));
         try {
-          const buyResult = await this.bscBuyer.buyToken(address);
+          const buyResult = await this.bscBuyer.buyToken(address, {
+            timer: timer.fork(),
+            confidence,
+            buyAmount: target.buyAmountBnb ?? undefined
+          });
           if (buyResult.success) {
-            console.log(chalk.green('✅ BSC token purchase successful!'));
+            console.log(chalk.green(`✅ BSC token purchase successful!${buyResult.simulated ? ' (simulated)' : ''}`));
             console.log(chalk.gray(`   Platform: ${buyResult.platform}`));
             console.log(chalk.gray(`   Amount: ${buyResult.amount} BNB`));
+            if (buyResult.expectedOut) {
+              console.log(chalk.gray(`   Output: ${buyResult.actualOut} (expected ${buyResult.expectedOut}, min ${buyResult.minOut})`));
+            }
             console.log(chalk.gray(`   Transaction: ${buyResult.hash}`));
+            this.logTimings(buyResult);
+            
+            this.recordBuyFill('bsc', address, buyResult);
             
             // Add to profit tracker
             this.profitTracker.addPurchase({
               chain: 'bsc',
               tokenAddress: address,
+              target: target.username,
               platform: buyResult.platform,
-              amount: buyResult.amount,
+              // Exact fill from the receipt: BNB spent incl. gas, tokens from Transfer logs
+              amount: buyResult.nativeSpent ?? buyResult.amount,
               hash: buyResult.hash,
-              tokensReceived: buyResult.tokenReceived
+              tokensReceived: buyResult.actualOut,
+              expectedOut: buyResult.expectedOut,
+              entryPrice: buyResult.entryPrice,
+              exitRules: this.exitManager?.rulesFor(target.exitRules || {}),
+              simulated: buyResult.simulated || false
             });
             
           } else {
             console.log(chalk.yellow(`⚠️  BSC purchase failed: ${buyResult.error}`));
+            if (buyResult.failureReason) {
+              console.log(chalk.gray(`   Reason: ${buyResult.failureReason}`));
+            }
           }
+          this.recordBuyOutcome(result, 'bsc', address, buyResult);
         } catch (error) {
           console.error(chalk.red('❌ BSC auto-buy error:'), error.message);
         }
@@ -207,6 +406,101 @@ export class TwitterMonitor {
     }
   }
 
+  // Tweet-to-send latency with its per-stage breakdown
+  logTimings(buyResult) {
+    if (!buyResult.timings) return;
+    const { totalMs, stages } = buyResult.timings;
+    const breakdown = Object.entries(stages).map(([stage, ms]) => `${stage} ${ms}ms`).join(' → ');
+    console.log(chalk.gray(`   ⏱️  Tweet → ${buyResult.simulated ? 'quote' : 'sent'}: ${totalMs}ms (${breakdown})`));
+  }
+
+  // Buy outcomes (including decoded failure reasons) travel with the alert's webhook payload
+  recordBuyOutcome(result, chain, tokenAddress, buyResult) {
+    result.buys = result.buys || {};
+    result.buys[tokenAddress] = {
+      chain,
+      success: buyResult.success,
+      platform: buyResult.platform,
+      txId: buyResult.signature || buyResult.hash,
+      error: buyResult.error,
+      failureReason: buyResult.failureReason,
+      timings: buyResult.timings,
+      simulated: buyResult.simulated || false
+    };
+  }
+
+  recordBuyFill(chain, tokenAddress, buyResult) {
+    this.store.recordFill({
+      side: 'buy',
+      chain,
+      tokenAddress,
+      platform: buyResult.platform,
+      amount: buyResult.amount,
+      nativeSpent: buyResult.nativeSpent,
+      txId: buyResult.signature || buyResult.hash,
+      expectedOut: buyResult.expectedOut,
+      minOut: buyResult.minOut,
+      actualOut: buyResult.actualOut,
+      landing: buyResult.landing,
+      timings: buyResult.timings,
+      simulated: buyResult.simulated || false
+    });
+  }
+
+  recordSellFills(chain, sellResults) {
+    for (const sellResult of sellResults.filter(r => r.success)) {
+      this.store.recordFill({
+        side: 'sell',
+        chain,
+        tokenAddress: sellResult.tokenAddress,
+        reason: sellResult.reason,
+        platform: sellResult.platform,
+        txId: sellResult.signature || sellResult.hash,
+        nativeReceived: sellResult.solReceived ?? sellResult.bnbReceived,
+        expectedOut: sellResult.expectedOut,
+        minOut: sellResult.minOut,
+        landing: sellResult.landing,
+        simulated: sellResult.simulated || false
+      });
+    }
+  }
+
+  // Reload processed tweet IDs and open positions from the state file
+  restoreState() {
+    const state = this.store.load();
+    
+    state.processedTweetIds.forEach(id => this.processedTweets.add(id));
+    if (state.processedTweetIds.size > 0) {
+      console.log(chalk.gray(`💾 Restored ${state.processedTweetIds.size} processed tweet ID(s)`));
+    }
+    
+    // Paper and live positions share the state file; only this mode's are restored
+    const dryRun = !!this.config.dryRun;
+    const purchases = state.purchases.filter(p => !!p.simulated === dryRun);
+    const skipped = state.purchases.length - purchases.length;
+    if (skipped > 0) {
+      console.log(chalk.gray(`💾 Skipped ${skipped} ${dryRun ? 'live' : 'paper'} position(s) from the other mode`));
+    }
+    
+    // Paper wallets get their balance and holdings back
+    if (dryRun) {
+      const paperFills = state.fills.filter(fill => fill.simulated);
+      [['solana', this.solanaBuyer], ['bsc', this.bscBuyer]].forEach(([chain, buyer]) => {
+        buyer?.paperWallet?.restore(
+          paperFills.filter(fill => fill.chain === chain),
+          purchases.filter(p => p.chain === chain)
+        );
+      });
+    }
+    
+    // Open BSC positions count as known holdings even if they predate the holdings cache
+    for (const purchase of purchases.filter(p => p.chain === 'bsc' && !p.simulated)) {
+      this.bscBuyer?.holdings?.addToken(purchase.tokenAddress);
+    }
+    
+    this.profitTracker.restorePurchases(purchases);
+  }
+
   displayAlert(result) {
     console.log('\n' + chalk.bgYellow.black(' 🚨 CRYPTO CONTENT DETECTED! '));
     console.log(chalk.cyan('━'.repeat(60)));
@@ -221,6 +515,13 @@ export class TwitterMonitor {
       console.log(chalk.green('🟣 Solana Addresses Found:'));
       result.analysis.solanaAddresses.forEach(addr => {
         console.log(chalk.yellow(`   • ${addr}`));
+        
+        const rugCheck = result.rugChecks?.[addr];
+        if (rugCheck) {
+          const label = { allow: chalk.green('PASSED'), downsize: chalk.yellow('DOWNSIZE'), block: chalk.red('BLOCKED') }[rugCheck.action];
+          console.log(chalk.white('     🛡️  Rug Check: ') + label);
+          rugCheck.reasons.forEach(reason => console.log(chalk.gray(`        - ${reason}`)));
+        }
       });
     }
     
@@ -236,6 +537,15 @@ export class TwitterMonitor {
       console.log(chalk.yellow(`   ${result.analysis.keywords.join(', ')}`));
     }
     
+    if (result.analysis.negativeKeywords.length > 0) {
+      console.log(chalk.red('🚫 Negative Keywords:'));
+      console.log(chalk.yellow(`   ${result.analysis.negativeKeywords.join(', ')}`));
+    }
+    
+    if (result.analysis.keywords.length > 0 || result.analysis.negativeKeywords.length > 0) {
+      console.log(chalk.white('📈 Keyword Score: ') + chalk.yellow(result.analysis.keywordScore));
+    }
+    
     if (result.analysis.urls && result.analysis.urls.length > 0) {
       console.log(chalk.green('🌐 URLs Found in Tweet:'));
       result.analysis.urls.forEach(url => {
@@ -278,10 +588,13 @@ export class TwitterMonitor {
     }
     
     this.isRunning = true;
-    console.log(chalk.green(`✅ Starting monitor for @${this.config.targetUsername}`));
+    this.restoreState();
+    console.log(chalk.green(`✅ Starting monitor for ${this.config.targets.map(t => `@${t.username}`).join(', ')}`));
     console.log(chalk.gray(`Check interval: ${this.config.checkInterval / 1000} seconds`));
     
-    if (this.config.autoBuyEnabled) {
+    if (this.config.dryRun) {
+      console.log(chalk.magenta('🧪 DRY RUN: paper trading with simulated fills, no transactions are signed'));
+    } else if (this.config.autoBuyEnabled) {
       console.log(chalk.magenta('🚀 Auto-buy is ENABLED'));
     } else {
       console.log(chalk.gray('🔍 Monitoring only (auto-buy disabled)'));
@@ -295,8 +608,11 @@ export class TwitterMonitor {
     
     // 판매 기능 안내
     console.log(chalk.bgYellow.black('💡 SELL CONTROLS:'));
-    console.log(chalk.yellow('   Press "s" + Enter to sell ALL Solana tokens to SOL'));
-    console.log(chalk.yellow('   Press "b" + Enter to sell ALL BSC tokens to BNB'));
+    console.log(chalk.yellow('   Press "s" + Enter to sell bot-opened Solana positions to SOL'));
+    console.log(chalk.yellow('   Press "b" + Enter to sell bot-opened BSC positions to BNB'));
+    console.log(chalk.yellow('   Press "S" / "B" to sell EVERYTHING in the wallet (asks for confirmation)'));
+    console.log(chalk.yellow('   Type "<#> [percent]" + Enter to sell part of a tracked position (e.g. "2 50")'));
+    console.log(chalk.yellow('   Press "l" to sell the last buy'));
     console.log(chalk.gray('   Press Ctrl+C to stop monitoring\n'));
     
     // 키보드 입력 리스너 설정
@@ -315,31 +631,34 @@ export class TwitterMonitor {
 
   async checkForNewTweets() {
     try {
-      const tweets = await this.fetchLatestTweets();
-      
-      if (tweets.length === 0) {
-        console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] No tweets retrieved`));
-        return;
-      }
-      
       let newTweetsFound = false;
       let cryptoTweetsFound = 0;
       
-      // Process tweets in reverse order (oldest first)
-      for (const tweet of tweets.reverse()) {
-        if (!this.processedTweets.has(tweet.id)) {
-          const result = await this.processTweet(tweet);
-          if (result) {
-            newTweetsFound = true;
-            cryptoTweetsFound++;
-            
-            // Send webhook notification if configured
-            if (this.config.webhookUrl) {
-              await this.sendWebhookNotification(result);
+      // Targets share one scraper session, so poll them one after another
+      for (const target of this.config.targets) {
+        const tweets = await this.fetchLatestTweets(target.username);
+        
+        if (tweets.length === 0) {
+          console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] No tweets retrieved from @${target.username}`));
+          continue;
+        }
+        
+        // Process tweets in reverse order (oldest first)
+        for (const tweet of tweets.reverse()) {
+          if (!this.processedTweets.has(tweet.id)) {
+            const result = await this.processTweet(tweet, target);
+            if (result) {
+              newTweetsFound = true;
+              cryptoTweetsFound++;
+              
+              // Send webhook notification if configured
+              if (this.config.webhookUrl) {
+                await this.sendWebhookNotification(result);
+              }
+              
+              // Add a small delay between processing tweets
+              await new Promise(resolve => setTimeout(resolve, 1000));
             }
-            
-            // Add a small delay between processing tweets
-            await new Promise(resolve => setTimeout(resolve, 1000));
           }
         }
       }
@@ -389,68 +708,211 @@ export class TwitterMonitor {
     process.stdin.resume();
     process.stdin.setEncoding('utf8');
 
-    process.stdin.on('data', async (key) => {
-      // Ctrl+C 처리
-      if (key === '\u0003') {
-        this.stopMonitoring();
-        process.exit();
+    // Raw mode delivers single keys, piped input whole lines; handle both one character at a time
+    process.stdin.on('data', async (data) => {
+      for (const key of data) {
+        await this.handleKey(key);
       }
-      
-      // 's' 키: Solana 토큰 판매
-      if (key.toLowerCase() === 's') {
-        console.log(chalk.bgRed.white('\n🔥 Solana 토큰 판매 시작...'));
-        if (this.solanaBuyer) {
-          await this.sellAllSolanaTokens();
-        } else {
-          console.log(chalk.red('❌ Solana buyer가 초기화되지 않았습니다.'));
-        }
+    });
+  }
+
+  async handleKey(key) {
+    // Ctrl+C 처리
+    if (key === '\u0003') {
+      this.stopMonitoring();
+      process.exit();
+    }
+    
+    // Enter: 입력 중인 포지션 판매 명령 실행 ("<번호> [퍼센트]")
+    if (key === '\r' || key === '\n') {
+      const line = this.inputBuffer.trim();
+      this.inputBuffer = '';
+      if (line) {
+        process.stdout.write('\n');
+        await this.handlePositionCommand(line);
       }
-      
-      // 'b' 키: BSC 토큰 판매
-      if (key.toLowerCase() === 'b') {
-        console.log(chalk.bgRed.white('\n🔥 BSC 토큰 판매 시작...'));
-        if (this.bscBuyer) {
-          await this.sellAllBSCTokens();
-        } else {
-          console.log(chalk.red('❌ BSC buyer가 초기화되지 않았습니다.'));
-        }
+      return;
+    }
+    
+    // 숫자/공백은 포지션 판매 명령으로 버퍼링
+    if (/[\d ]/.test(key) || (key === '\u007f' && this.inputBuffer)) {
+      this.inputBuffer = key === '\u007f' ? this.inputBuffer.slice(0, -1) : this.inputBuffer + key;
+      if (process.stdin.isTTY) {
+        process.stdout.write(key === '\u007f' ? '\b \b' : key);
       }
-    });
+      return;
+    }
+    
+    // "S"/"B" 전체 판매 확인 대기 중이면 'y'만 실행, 그 외는 취소
+    if (this.pendingSellEverything) {
+      const chain = this.pendingSellEverything;
+      this.pendingSellEverything = null;
+      if (key.toLowerCase() === 'y') {
+        await this.sellAllTokens(chain, 'all');
+      } else {
+        console.log(chalk.gray('Sell-everything cancelled'));
+      }
+      return;
+    }
+    
+    // 's' / 'b' 키: 봇이 연 포지션만 판매
+    if (key === 's') {
+      await this.sellAllTokens('solana', 'positions');
+    } else if (key === 'b') {
+      await this.sellAllTokens('bsc', 'positions');
+    }
+    
+    // 'l' 키: 마지막 구매 포지션 전량 판매
+    if (key === 'l') {
+      const positions = this.profitTracker.purchasedTokens;
+      if (positions.length === 0) {
+        console.log(chalk.yellow('⚠️  No open positions to sell'));
+      } else {
+        const lastBuy = positions.reduce((latest, p) => p.purchaseTime > latest.purchaseTime ? p : latest);
+        await this.sellPosition(lastBuy, 100);
+      }
+    }
+    
+    // 'S' / 'B' 키: 지갑의 모든 토큰 판매 (보호 토큰 제외, 확인 필요)
+    if (key === 'S' || key === 'B') {
+      this.pendingSellEverything = key === 'S' ? 'solana' : 'bsc';
+      console.log(chalk.bgRed.white(`\n⚠️  Sell EVERY ${key === 'S' ? 'Solana' : 'BSC'} token in the wallet, not just bot positions?`));
+      console.log(chalk.red('   Press "y" to confirm, anything else cancels'));
+    }
   }
 
-  async sellAllSolanaTokens() {
+  // "<index> [percent]" sells part of a position listed by the profit tracker (default 100%)
+  async handlePositionCommand(line) {
+    const match = line.match(/^(\d+)(?:\s+(\d+))?$/);
+    const index = match ? parseInt(match[1]) : NaN;
+    const percent = match?.[2] ? parseInt(match[2]) : 100;
+    const position = this.profitTracker.purchasedTokens[index - 1];
+    
+    if (!position) {
+      console.log(chalk.yellow(`⚠️  No position #${line.split(/\s+/)[0]} (use the numbers shown by the profit tracker)`));
+      return;
+    }
+    if (!(percent >= 1 && percent <= 100)) {
+      console.log(chalk.yellow('⚠️  Percent must be between 1 and 100 (e.g. 25, 50, 100)'));
+      return;
+    }
+    await this.sellPosition(position, percent);
+  }
+
+  // Returns true when the sell went through (used by ExitManager)
+  async sellPosition(position, percent, reason = 'manual') {
+    const isSolana = position.chain === 'solana';
+    const buyer = isSolana ? this.solanaBuyer : this.bscBuyer;
+    const symbol = isSolana ? 'SOL' : 'BNB';
+    
+    console.log(chalk.bgRed.white(`\n🔥 Selling ${percent}% of ${position.tokenAddress} (${position.chain.toUpperCase()}) - ${reason}`));
+    if (!buyer) {
+      console.log(chalk.red(`❌ ${isSolana ? 'Solana' : 'BSC'} buyer가 초기화되지 않았습니다.`));
+      return false;
+    }
+    
     try {
-      const result = await this.solanaBuyer.sellAllTokensToSOL();
-      if (result.success) {
-        console.log(chalk.green(`\n✅ Solana 판매 완료! 받은 SOL: ${result.totalSOLReceived.toFixed(4)}`));
-        
-        // Profit tracker 업데이트
-        this.profitTracker.purchasedTokens = this.profitTracker.purchasedTokens.filter(
-          token => token.chain !== 'solana'
-        );
-      } else {
-        console.log(chalk.red(`\n❌ Solana 판매 실패: ${result.error}`));
+      // 포지션 수량 기준으로 계산하되 실제 지갑 잔액을 넘지 않도록 제한
+      const held = await buyer.getTokenBalance(position.tokenAddress);
+      const positionTokens = BigInt(String(position.tokensReceived ?? 0));
+      const wanted = positionTokens * BigInt(percent) / 100n;
+      const amount = wanted < held ? wanted : held;
+      if (amount <= 0n) {
+        console.log(chalk.yellow('⚠️  Nothing to sell: wallet balance for this position is 0'));
+        this.profitTracker.applySell(position.id, 0n, held, { chain: position.chain, nativeReceived: 0, reason });
+        return false;
+      }
+      
+      const sellResult = await buyer.sellSingleToken(position.tokenAddress, amount.toString());
+      if (!sellResult.success) {
+        console.log(chalk.red(`❌ Failed to sell: ${sellResult.error}`));
+        return false;
       }
+      
+      // 실제 남은 잔액으로 포지션 갱신
+      const nativeReceived = sellResult.solReceived ?? sellResult.bnbReceived ?? 0;
+      this.recordSellFills(position.chain, [{ tokenAddress: position.tokenAddress, reason, ...sellResult }]);
+      
+      let remaining;
+      try {
+        remaining = await buyer.getTokenBalance(position.tokenAddress);
+      } catch (error) {
+        // Without a real balance the position is left as is rather than guessed closed
+        console.log(chalk.yellow(`⚠️  Sold for ${nativeReceived.toFixed(4)} ${symbol}, but could not read the remaining balance: ${error.message}`));
+        return true;
+      }
+      console.log(chalk.green(`✅ Sold ${held - remaining} units for ${nativeReceived.toFixed(4)} ${symbol} (remaining ${remaining})`));
+      
+      this.profitTracker.applySell(position.id, held - remaining, remaining, {
+        chain: position.chain,
+        nativeReceived,
+        percent,
+        reason
+      });
+      return true;
     } catch (error) {
-      console.error(chalk.red('\n❌ Solana 판매 오류:'), error.message);
+      console.error(chalk.red('❌ Position sell error:'), error.message);
+      return false;
     }
   }
 
-  async sellAllBSCTokens() {
+  /**
+   * Which tokens a sell-all may touch. "positions" covers tokens the bot bought plus
+   * SELL_ALLOWLIST; "all" is the whole wallet. Protected tokens are always skipped.
+   */
+  buildSellFilter(chain, scope) {
+    // EVM addresses are case-insensitive, Solana mints are not
+    const normalize = chain === 'bsc' ? address => address.toLowerCase() : address => address;
+    const protectedTokens = new Set(this.config.protectedTokens.map(normalize));
+    const allowlist = new Set(this.config.sellAllowlist.map(normalize));
+    const positions = new Set(
+      this.profitTracker.purchasedTokens
+        .filter(purchase => purchase.chain === chain)
+        .map(purchase => normalize(purchase.tokenAddress))
+    );
+    
+    return tokenAddress => {
+      const token = normalize(tokenAddress);
+      if (protectedTokens.has(token)) return false;
+      return scope === 'all' || positions.has(token) || allowlist.has(token);
+    };
+  }
+
+  async sellAllTokens(chain, scope = 'positions') {
+    const isSolana = chain === 'solana';
+    const buyer = isSolana ? this.solanaBuyer : this.bscBuyer;
+    const label = isSolana ? 'Solana' : 'BSC';
+    const symbol = isSolana ? 'SOL' : 'BNB';
+    
+    console.log(chalk.bgRed.white(`\n🔥 ${label} 토큰 판매 시작... (${scope === 'all' ? '지갑 전체' : '봇 포지션만'})`));
+    if (!buyer) {
+      console.log(chalk.red(`❌ ${label} buyer가 초기화되지 않았습니다.`));
+      return;
+    }
+    
     try {
-      const result = await this.bscBuyer.sellAllTokensToBNB();
+      const shouldSell = this.buildSellFilter(chain, scope);
+      const result = isSolana
+        ? await buyer.sellAllTokensToSOL(shouldSell)
+        : await buyer.sellAllTokensToBNB(shouldSell);
+      
       if (result.success) {
-        console.log(chalk.green(`\n✅ BSC 판매 완료! 받은 BNB: ${result.totalBNBReceived.toFixed(4)}`));
+        const totalReceived = isSolana ? result.totalSOLReceived : result.totalBNBReceived;
+        console.log(chalk.green(`\n✅ ${label} 판매 완료! 받은 ${symbol}: ${totalReceived.toFixed(4)}`));
         
-        // Profit tracker 업데이트
-        this.profitTracker.purchasedTokens = this.profitTracker.purchasedTokens.filter(
-          token => token.chain !== 'bsc'
+        // Profit tracker 업데이트: 실제로 판매된 토큰의 포지션만 종료
+        this.recordSellFills(chain, result.sellResults);
+        const normalize = isSolana ? address => address : address => address.toLowerCase();
+        const soldTokens = new Set(result.sellResults.filter(r => r.success).map(r => normalize(r.tokenAddress)));
+        this.profitTracker.closePositions(
+          token => token.chain === chain && soldTokens.has(normalize(token.tokenAddress)),
+          { chain, nativeReceived: totalReceived }
         );
       } else {
-        console.log(chalk.red(`\n❌ BSC 판매 실패: ${result.error}`));
+        console.log(chalk.red(`\n❌ ${label} 판매 실패: ${result.error}`));
       }
     } catch (error) {
-      console.error(chalk.red('\n❌ BSC 판매 오류:'), error.message);
+      console.error(chalk.red(`\n❌ ${label} 판매 오류:`), error.message);
     }
   }
 
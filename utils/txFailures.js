@@ -0,0 +1,84 @@
+import { BaseError, ContractFunctionRevertedError } from 'viem';
+import { PUMP_FUN_PROGRAM } from './pumpFun.js';
+
+export const FAILURE_REASONS = {
+  INSUFFICIENT_LIQUIDITY: 'insufficient-liquidity',
+  SLIPPAGE_EXCEEDED: 'slippage-exceeded',
+  CURVE_COMPLETE: 'curve-complete',
+  TRADING_NOT_ENABLED: 'trading-not-enabled',
+  INSUFFICIENT_FUNDS: 'insufficient-funds',
+  TRANSFER_FAILED: 'transfer-failed',
+  UNKNOWN: 'unknown'
+};
+
+const MESSAGES = {
+  [FAILURE_REASONS.INSUFFICIENT_LIQUIDITY]: 'Insufficient liquidity for this trade',
+  [FAILURE_REASONS.SLIPPAGE_EXCEEDED]: 'Price moved beyond the slippage tolerance',
+  [FAILURE_REASONS.CURVE_COMPLETE]: 'Bonding curve is complete (token migrated)',
+  [FAILURE_REASONS.TRADING_NOT_ENABLED]: 'Trading is not enabled for this token/pool yet',
+  [FAILURE_REASONS.INSUFFICIENT_FUNDS]: 'Insufficient balance for amount plus fees',
+  [FAILURE_REASONS.TRANSFER_FAILED]: 'Token transfer failed (transfer restrictions or fee-on-transfer)'
+};
+
+// Checked in order against program logs / revert reasons; first match wins
+const PATTERNS = [
+  [FAILURE_REASONS.CURVE_COMPLETE, /BondingCurveComplete|curve.*complete/i],
+  [FAILURE_REASONS.SLIPPAGE_EXCEEDED, /slippage|TooMuchSolRequired|TooLittleSolReceived|INSUFFICIENT_OUTPUT_AMOUNT|EXCESSIVE_INPUT_AMOUNT|MinimumAmountOut|AmountOutBelowMinimum|ExceedsDesired/i],
+  [FAILURE_REASONS.INSUFFICIENT_LIQUIDITY, /INSUFFICIENT_LIQUIDITY|InsufficientLiquidity|no liquidity|ZeroTradingTokens|PoolNotEnoughLiquidity/i],
+  [FAILURE_REASONS.TRADING_NOT_ENABLED, /trading.{0,20}(not|disabled|closed)|not.{0,10}(open|started|enabled)|NotApproved|InvalidStatus|PoolNotOpen|NotLaunched/i],
+  [FAILURE_REASONS.INSUFFICIENT_FUNDS, /insufficient (funds|lamports|balance)|exceeds balance|AccountNotFound|prior credit/i],
+  [FAILURE_REASONS.TRANSFER_FAILED, /TRANSFER_FAILED|TRANSFER_FROM_FAILED|Pancake: K/i]
+];
+
+// Pump.fun Anchor error codes, for failures that come back without logs
+const PUMP_FUN_ERRORS = {
+  6002: FAILURE_REASONS.SLIPPAGE_EXCEEDED, // TooMuchSolRequired
+  6003: FAILURE_REASONS.SLIPPAGE_EXCEEDED, // TooLittleSolReceived
+  6005: FAILURE_REASONS.CURVE_COMPLETE // BondingCurveComplete
+};
+
+function classify(text) {
+  const match = PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : FAILURE_REASONS.UNKNOWN;
+}
+
+/**
+ * A transaction that would fail (or did), with the decoded reason.
+ * `reason` is one of FAILURE_REASONS; `details` keeps the raw error/logs.
+ */
+export class TransactionFailedError extends Error {
+  constructor(reason, details, stage = 'preflight') {
+    super(`${stage === 'preflight' ? 'Pre-flight check failed' : 'Transaction failed'}: ${MESSAGES[reason] || details}`);
+    this.name = 'TransactionFailedError';
+    this.reason = reason;
+    this.details = details;
+    this.stage = stage;
+  }
+}
+
+/**
+ * Solana: the simulation/status error plus program logs. `programId` is the
+ * program of the failing instruction, used to map bare custom error codes.
+ */
+export function decodeSolanaFailure(err, logs = [], programId = null, stage = 'preflight') {
+  const errorLines = logs.filter(line => /error|failed|insufficient|slippage/i.test(line));
+  let reason = classify([...errorLines, JSON.stringify(err)].join('\n'));
+
+  const custom = err?.InstructionError?.[1]?.Custom;
+  if (reason === FAILURE_REASONS.UNKNOWN && custom !== undefined && programId?.equals?.(PUMP_FUN_PROGRAM)) {
+    reason = PUMP_FUN_ERRORS[custom] || reason;
+  }
+
+  const details = errorLines.length > 0 ? errorLines.slice(-3).join(' | ') : JSON.stringify(err);
+  return new TransactionFailedError(reason, details, stage);
+}
+
+// BSC: a viem error from eth_call / estimateGas / a reverted receipt
+export function decodeBscRevert(error, stage = 'preflight') {
+  let details = error.shortMessage || error.message;
+  if (error instanceof BaseError) {
+    const revert = error.walk(cause => cause instanceof ContractFunctionRevertedError);
+    details = revert?.reason || error.details || details;
+  }
+  return new TransactionFailedError(classify(`${details}\n${error.message}`), details, stage);
+}
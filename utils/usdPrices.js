@@ -0,0 +1,102 @@
+import chalk from 'chalk';
+import { loadRaydiumPool, getRaydiumPrice } from './raydium.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+// Raydium AMM v4 SOL/USDC
+const SOL_USDC_POOL = { type: 'AMM v4', id: '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2' };
+// Chainlink BNB/USD aggregator on BSC (8 decimals)
+const BNB_USD_FEED = '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE';
+const BSC_USDT = '0x55d398326f99059fF775485246999027B3197955';
+// The feed updates at least every minute; a round much older than that means it stalled
+const MAX_FEED_AGE_MS = 10 * 60 * 1000;
+// Native prices only move the USD view, so they don't need per-tick freshness
+const REFRESH_MS = 30000;
+
+const AGGREGATOR_ABI = [
+  {
+    inputs: [],
+    name: 'latestRoundData',
+    outputs: [
+      { name: 'roundId', type: 'uint80' },
+      { name: 'answer', type: 'int256' },
+      { name: 'startedAt', type: 'uint256' },
+      { name: 'updatedAt', type: 'uint256' },
+      { name: 'answeredInRound', type: 'uint80' }
+    ],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [],
+    name: 'decimals',
+    outputs: [{ name: '', type: 'uint8' }],
+    stateMutability: 'view',
+    type: 'function'
+  }
+];
+
+/**
+ * USD prices of SOL and BNB from on-chain sources: the Raydium SOL/USDC pool and
+ * the Chainlink BNB/USD feed (falling back to the PancakeSwap WBNB/USDT pair when
+ * the feed errors or its latest round is stale).
+ * A failed refresh keeps the last known price.
+ */
+export class UsdPriceFeed {
+  constructor(solanaConnection, bscPublicClient, { bscPriceFeed = null } = {}) {
+    this.solanaConnection = solanaConnection;
+    this.bscPublicClient = bscPublicClient;
+    this.bscPriceFeed = bscPriceFeed;
+    this.prices = { solana: null, bsc: null };
+    this.lastRefresh = 0;
+  }
+
+  async getSolUsd() {
+    const pool = await loadRaydiumPool(this.solanaConnection, SOL_USDC_POOL);
+    return getRaydiumPrice(pool, SOL_MINT);
+  }
+
+  async getBnbUsd() {
+    try {
+      const [[, answer, , updatedAt], decimals] = await Promise.all([
+        this.bscPublicClient.readContract({ address: BNB_USD_FEED, abi: AGGREGATOR_ABI, functionName: 'latestRoundData' }),
+        this.bscPublicClient.readContract({ address: BNB_USD_FEED, abi: AGGREGATOR_ABI, functionName: 'decimals' })
+      ]);
+      const ageMs = Date.now() - Number(updatedAt) * 1000;
+      if (answer > 0n && ageMs <= MAX_FEED_AGE_MS) return Number(answer) / 10 ** Number(decimals);
+      if (answer > 0n) {
+        console.log(chalk.yellow(`⚠️  Chainlink BNB/USD round is ${Math.round(ageMs / 60000)} min old, using the PancakeSwap pair`));
+      }
+    } catch (error) {
+      if (!this.bscPriceFeed) throw error;
+    }
+
+    // BNB per USDT from the pair, inverted
+    const quote = await this.bscPriceFeed?.getPrice(BSC_USDT);
+    return quote?.price ? 1 / quote.price : null;
+  }
+
+  async refresh(force = false) {
+    if (!force && Date.now() - this.lastRefresh < REFRESH_MS) return this.prices;
+    this.lastRefresh = Date.now();
+
+    const sources = [
+      ['solana', () => this.getSolUsd()],
+      ['bsc', () => this.getBnbUsd()]
+    ];
+    await Promise.all(sources.map(async ([chain, read]) => {
+      try {
+        const price = await read();
+        if (price) this.prices[chain] = price;
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not refresh ${chain === 'solana' ? 'SOL' : 'BNB'}/USD price: ${error.message}`));
+      }
+    }));
+    return this.prices;
+  }
+
+  // USD value of a native amount, or null while the price is unknown
+  toUsd(chain, nativeAmount) {
+    const price = this.prices[chain];
+    return price ? nativeAmount * price : null;
+  }
+}
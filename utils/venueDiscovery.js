@@ -0,0 +1,37 @@
+import chalk from 'chalk';
+
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * Runs every venue check at once and keeps the ones that answered before the
+ * deadline. A check resolves to null (not tradable there) or to a venue
+ * `{ platform, expectedOut, ... }` quoted for the actual buy amount; venues come
+ * back best quote first (largest expected output), unquoted venues last.
+ */
+export async function discoverVenues(checks, deadlineMs) {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(TIMED_OUT), deadlineMs);
+  });
+
+  const results = await Promise.all(checks.map(async ({ venue, check }) => {
+    const result = await Promise.race([
+      check().catch(error => {
+        console.log(chalk.yellow(`⚠️  ${venue} discovery failed: ${error.message}`));
+        return null;
+      }),
+      deadline
+    ]);
+    if (result === TIMED_OUT) {
+      console.log(chalk.yellow(`⏱️  ${venue} did not answer within ${deadlineMs}ms, skipping`));
+      return null;
+    }
+    return result;
+  }));
+  clearTimeout(timer);
+
+  const quoteOf = venue => venue.expectedOut ?? -1n;
+  return results
+    .filter(Boolean)
+    .sort((a, b) => (quoteOf(b) > quoteOf(a) ? 1 : quoteOf(b) < quoteOf(a) ? -1 : 0));
+}